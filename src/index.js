@@ -2,21 +2,36 @@ import express from 'express';
 import cors from 'cors';
 import { config } from './config.js';
 import { connectDb } from './db.js';
+import { startJobs } from './jobs/index.js';
+import { LISTING_CURRENCIES } from './models/Listing.js';
+import { warnMissingExchangeRates } from './services/currencyService.js';
 import authRoutes from './routes/auth.js';
 import categoryRoutes from './routes/categories.js';
 import filterRoutes from './routes/filters.js';
 import productRoutes from './routes/products.js';
 import regionRoutes from './routes/regions.js';
 import cityRoutes from './routes/cities.js';
+import exchangeRateRoutes from './routes/exchangeRates.js';
+import userRoutes from './routes/users.js';
+import moderationRoutes from './routes/moderation.js';
+import notificationRoutes from './routes/notifications.js';
+import promotionRoutes from './routes/promotions.js';
+import favoriteRoutes from './routes/favorites.js';
+import savedSearchRoutes from './routes/savedSearches.js';
+import conversationRoutes from './routes/conversations.js';
+import rentalRoutes from './routes/rentals.js';
+import reviewRoutes from './routes/reviews.js';
+import storageRoutes from './routes/storage.js';
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // CORS (vivi-style: explicit methods + headers for auth and preflight)
 app.use(cors({
   origin: config.corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id'],
 }));
 app.use(express.json());
 
@@ -32,6 +47,20 @@ app.use('/api/filters', filterRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/regions', regionRoutes);
 app.use('/api/cities', cityRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/rentals', rentalRoutes);
+app.use('/api/reviews', reviewRoutes);
+// Uploads and file serving for the local storage driver (R2 serves files itself)
+if (config.storage.driver === 'local') {
+  app.use('/api/storage', storageRoutes);
+}
 
 // 404
 app.use((req, res) => res.status(404).json({ error: 'Not found' }));
@@ -55,7 +84,11 @@ app.listen(port, host, () => {
 export default app;
 
 connectDb()
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    startJobs();
+    warnMissingExchangeRates(LISTING_CURRENCIES).catch((err) => console.error('Exchange rate check error:', err.message));
+  })
   .catch((err) => {
     console.error('MongoDB connection failed:', err.message);
     console.error('Set MONGODB_URI in Render → Environment Variables. API will run but DB routes will fail.');
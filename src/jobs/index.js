@@ -0,0 +1,20 @@
+import { config } from '../config.js';
+import { scheduleJob } from './scheduler.js';
+import { runListingExpiryJob } from './listingExpiry.js';
+import { runListingPurgeJob } from './listingPurge.js';
+import { runPromotionExpiryJob } from './promotionExpiry.js';
+import { runSavedSearchDigestJob } from './savedSearchDigest.js';
+
+/**
+ * Starts scheduled jobs. Call once the database is connected.
+ */
+export function startJobs() {
+  if (!config.jobs.enabled) {
+    console.log('Scheduled jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  scheduleJob('listing-expiry', config.jobs.listingExpiryIntervalMs, runListingExpiryJob);
+  scheduleJob('promotion-expiry', config.jobs.promotionExpiryIntervalMs, runPromotionExpiryJob);
+  scheduleJob('saved-search-digest', config.jobs.savedSearchDigestIntervalMs, runSavedSearchDigestJob);
+  scheduleJob('listing-purge', config.jobs.listingPurgeIntervalMs, runListingPurgeJob);
+}
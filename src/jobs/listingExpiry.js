@@ -0,0 +1,13 @@
+import { expireListings, sendExpiryReminders } from '../services/listingExpiryService.js';
+
+/**
+ * Expires listings past expiresAt and reminds owners of listings about to expire.
+ */
+export async function runListingExpiryJob() {
+  const now = new Date();
+  const expired = await expireListings(now);
+  const reminded = await sendExpiryReminders(now);
+  if (expired > 0 || reminded > 0) {
+    console.log(`Listing expiry: ${expired} expired, ${reminded} reminders sent`);
+  }
+}
@@ -0,0 +1,11 @@
+import { purgeDeletedListings } from '../services/listingDeletionService.js';
+
+/**
+ * Permanently removes deleted listings past their restore period, with their images.
+ */
+export async function runListingPurgeJob() {
+  const { purged, failed } = await purgeDeletedListings(new Date());
+  if (purged > 0 || failed > 0) {
+    console.log(`Listing purge: ${purged} listings removed, ${failed} failed`);
+  }
+}
@@ -0,0 +1,11 @@
+import { expirePromotions } from '../services/promotionService.js';
+
+/**
+ * Resets ended promotions to 'none' and completes their orders.
+ */
+export async function runPromotionExpiryJob() {
+  const { listings, orders } = await expirePromotions(new Date());
+  if (listings > 0 || orders > 0) {
+    console.log(`Promotion expiry: ${listings} listings reset, ${orders} orders completed`);
+  }
+}
@@ -0,0 +1,11 @@
+import { sendSavedSearchDigests } from '../services/savedSearchService.js';
+
+/**
+ * Sends due daily saved-search digests and retries undelivered instant alerts.
+ */
+export async function runSavedSearchDigestJob() {
+  const sent = await sendSavedSearchDigests(new Date());
+  if (sent > 0) {
+    console.log(`Saved search digests: ${sent} sent`);
+  }
+}
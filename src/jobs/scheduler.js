@@ -0,0 +1,39 @@
+/**
+ * Minimal in-process scheduler: runs each job every intervalMs, never overlapping with itself.
+ * Errors are logged and the job keeps its schedule.
+ */
+const timers = new Map();
+
+/**
+ * @param {string} name - Used in logs; must be unique
+ * @param {number} intervalMs
+ * @param {() => Promise<unknown>} run
+ * @param {{ runOnStart?: boolean }} [options]
+ */
+export function scheduleJob(name, intervalMs, run, { runOnStart = true } = {}) {
+  if (timers.has(name)) throw new Error(`Job ${name} is already scheduled`);
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      console.error(`Job ${name} failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for jobs
+  timer.unref();
+  timers.set(name, timer);
+  if (runOnStart) setImmediate(tick);
+}
+
+export function stopJobs() {
+  for (const timer of timers.values()) clearInterval(timer);
+  timers.clear();
+}
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+
+/**
+ * Outgoing email. A transport is an object with send(message); config.email.transport picks one.
+ * 'outbox' writes each message as a JSON file to config.email.outboxDir (development, tests, or until a
+ * provider is configured). To add a provider, add a factory to TRANSPORTS.
+ */
+
+/** @typedef {{ from: string, to: string, subject: string, text: string, html?: string }} EmailMessage */
+
+function createOutboxTransport({ outboxDir }) {
+  const dir = path.resolve(outboxDir);
+  return {
+    /** @param {EmailMessage} message */
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+      return { id: path.basename(file) };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  outbox: createOutboxTransport,
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const factory = TRANSPORTS[config.email.transport];
+    if (!factory) throw new Error(`Unknown email transport: ${config.email.transport}`);
+    transport = factory(config.email);
+  }
+  return transport;
+}
+
+/**
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export async function sendEmail({ to, subject, text, html }) {
+  if (!to) throw new Error('Email recipient is required');
+  return getTransport().send({ from: config.email.from, to, subject, text, html });
+}
@@ -1,197 +1,340 @@
-import {
-  S3Client,
-  GetObjectCommand,
-  PutObjectCommand,
-  DeleteObjectCommand,
-} from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+/**
+ * Product image uploads and processing. Objects are stored through the configured storage driver
+ * (src/lib/storage.js: Cloudflare R2, or local disk for development).
+ */
 import sharp from 'sharp';
 import { v4 as uuidv4 } from 'uuid';
 import { config } from '../config.js';
+import { getStorage } from './storage.js';
 
 const THUMBNAIL_SIZE = 400;
-const IMAGE_SIZE = 800;
 const JPEG_QUALITY = 85;
 const MAX_IMAGES = 20;
-
-let s3Client = null;
-
-function getS3Client() {
-  if (!s3Client) {
-    const { accessKeyId, secretAccessKey, bucket, endpoint } = config.r2;
-    if (!accessKeyId || !secretAccessKey || !bucket) {
-      throw new Error('R2 credentials not configured (R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET)');
-    }
-    const region = 'auto';
-    s3Client = new S3Client({
-      region,
-      endpoint: endpoint || `https://${config.r2.accountId || 'account'}.r2.cloudflarestorage.com`,
-      credentials: { accessKeyId, secretAccessKey },
-      forcePathStyle: true,
-    });
-  }
-  return s3Client;
-}
-
-function getBucket() {
-  const bucket = config.r2.bucket;
-  if (!bucket) throw new Error('R2_BUCKET is required');
-  return bucket;
-}
+// Upload content types the presigned PUT accepts, with the temp key extension for each (loadTempImages sniffs the real format)
+const UPLOAD_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+};
+export const UPLOAD_CONTENT_TYPES = Object.keys(UPLOAD_EXTENSIONS);
+// Responsive variants: widths (never upscaled, aspect ratio kept) in every format; JPEG is the fallback
+const VARIANT_WIDTHS = [320, 640, 1024, 1600];
+// Width of the JPEG listed in listing.images for clients without imageMeta
+const DEFAULT_VARIANT_WIDTH = 1024;
+const VARIANT_FORMATS = [
+  { format: 'avif', ext: 'avif', contentType: 'image/avif', options: { quality: 50 } },
+  { format: 'webp', ext: 'webp', contentType: 'image/webp', options: { quality: 75 } },
+  { format: 'jpeg', ext: 'jpg', contentType: 'image/jpeg', options: { quality: JPEG_QUALITY, mozjpeg: true } },
+];
+const PLACEHOLDER_WIDTH = 16;
+// Variant objects: products/{productId}/{uuid}-{width}.{ext}
+const VARIANT_KEY_PATTERN = /^(products\/[^/]+\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-\d+\.(?:avif|webp|jpg)$/;
 
 /**
- * Generate presigned PUT URLs for temporary uploads.
- * Keys: temp/products/{userId}/{uuid}.jpg
+ * Generate presigned PUT URLs for temporary uploads, one per file. The PUT must send the signed Content-Type.
+ * Keys: temp/products/{userId}/{uuid}.{jpg|png|webp|avif} (extension from the content type)
  * @param {string} userId - Authenticated user id
- * @param {number} count - Number of URLs to generate (1..MAX_IMAGES)
- * @returns {Promise<{ key: string, uploadUrl: string }[]>}
+ * @param {string[]} contentTypes - one of UPLOAD_CONTENT_TYPES per file (1..MAX_IMAGES files)
+ * @returns {Promise<{ key: string, uploadUrl: string, contentType: string }[]>}
  */
-export async function getPresignedUploadUrls(userId, count) {
-  const client = getS3Client();
-  const bucket = getBucket();
-  const safeCount = Math.min(Math.max(1, Number(count) || 1), MAX_IMAGES);
-  const keys = [];
-  for (let i = 0; i < safeCount; i++) {
-    keys.push(`temp/products/${userId}/${uuidv4()}.jpg`);
-  }
+export async function getPresignedUploadUrls(userId, contentTypes) {
+  const storage = getStorage();
   const expiresIn = 15 * 60;
-  const result = await Promise.all(
-    keys.map(async (key) => {
-      const command = new PutObjectCommand({
-        Bucket: bucket,
-        Key: key,
-        ContentType: 'image/jpeg',
-      });
-      const uploadUrl = await getSignedUrl(client, command, { expiresIn });
-      return { key, uploadUrl };
+  return Promise.all(
+    contentTypes.slice(0, MAX_IMAGES).map(async (contentType) => {
+      const ext = UPLOAD_EXTENSIONS[contentType];
+      if (!ext) throw new Error(`Unsupported upload content type: ${contentType}`);
+      const key = `temp/products/${userId}/${uuidv4()}.${ext}`;
+      return { key, uploadUrl: await storage.presignPut(key, contentType, expiresIn), contentType };
     })
   );
-  return result;
 }
 
 /**
- * Resize image buffer with sharp. No disk I/O.
+ * JPEG thumbnail that fits in THUMBNAIL_SIZE x THUMBNAIL_SIZE (aspect ratio kept). No disk I/O.
+ * Like every output here it is auto-rotated by EXIF orientation and carries no metadata (sharp strips it).
  * @param {Buffer} input - Raw image buffer
- * @param {{ width: number, height: number }} size
  * @returns {Promise<Buffer>}
  */
-async function resizeTo(input, size) {
+async function makeThumbnail(input) {
   return sharp(input)
-    .resize(size.width, size.height, { fit: 'cover', position: 'center' })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
     .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
     .toBuffer();
 }
 
 /**
- * Get object body from R2 as buffer (no disk).
+ * Variant widths for an image: VARIANT_WIDTHS below its width, plus its own width when it is
+ * narrower than the largest variant.
  */
-async function getObjectBuffer(key) {
-  const client = getS3Client();
-  const bucket = getBucket();
-  const response = await client.send(
-    new GetObjectCommand({ Bucket: bucket, Key: key })
-  );
-  const chunks = [];
-  for await (const chunk of response.Body) {
-    chunks.push(chunk);
-  }
-  return Buffer.concat(chunks);
+function variantWidthsFor(originalWidth) {
+  const widths = VARIANT_WIDTHS.filter((w) => w < originalWidth);
+  const top = Math.min(originalWidth, VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]);
+  if (!widths.includes(top)) widths.push(top);
+  return widths;
+}
+
+/**
+ * Displayed size: EXIF orientations 5-8 rotate the image by 90 degrees.
+ */
+function orientedSize({ width, height, orientation }) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
 }
 
 /**
- * Upload buffer to R2 (no disk).
+ * Upload buffer to storage (no disk).
  */
 async function putObjectBuffer(key, buffer, contentType = 'image/jpeg') {
-  const client = getS3Client();
-  const bucket = getBucket();
-  await client.send(
-    new PutObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      Body: buffer,
-      ContentType: contentType,
-    })
-  );
+  await getStorage().put(key, buffer, contentType);
+}
+
+function publicUrlForKey(key) {
+  return getStorage().publicUrl(key);
 }
 
 /**
- * Delete object from R2.
+ * Thumbnail URL with a version query, so CDNs and browsers pick up a regenerated thumbnail.jpg.
  */
-async function deleteObject(key) {
-  const client = getS3Client();
-  const bucket = getBucket();
-  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+function thumbnailUrlFor(productId) {
+  return `${publicUrlForKey(`products/${productId}/thumbnail.jpg`)}?v=${Date.now()}`;
 }
 
 /**
- * Build public URL for a product image key.
+ * Storage key of a stored image of this product, or null for URLs outside products/{productId}/
+ * (external images, other products).
+ * @param {string} productId
+ * @param {string} url - public image URL (a ?query is ignored)
  */
-function publicUrlForKey(key) {
-  const base = (config.r2.publicUrl || '').replace(/\/$/, '');
-  if (!base) throw new Error('R2_PUBLIC_URL is required for product image URLs');
-  return `${base}/${key}`;
+export function productImageKeyFromUrl(productId, url) {
+  const base = publicUrlForKey('');
+  if (typeof url !== 'string' || !url.startsWith(base)) return null;
+  const key = url.slice(base.length).split('?')[0];
+  const prefix = `products/${productId}/`;
+  if (!key.startsWith(prefix) || key.slice(prefix.length).includes('/')) return null;
+  return key;
 }
 
 /**
- * Process temp images into product folder: resize, upload to final paths, delete temp.
- * - First image → thumbnail.jpg (400x400) and image-1.jpg (800x800)
- * - Other images → image-2.jpg, image-3.jpg, ... (800x800)
- * All work in memory (no server disk). Returns { thumbnailUrl, imageUrls }.
- * @param {string} productId - Mongo ObjectId string
- * @param {string[]} tempKeys - Ordered list of R2 keys (temp/products/...)
+ * Upload every variant of one image under a new random name, so later appends never overwrite
+ * existing images. Returns the image metadata stored in listing.imageMeta:
+ * { url, width, height, dominantColor, placeholder, variants: [{ width, height, format, url }] },
+ * where url is the JPEG of (at most) DEFAULT_VARIANT_WIDTH and placeholder a tiny WebP data URI.
+ * @param {string} productId
+ * @param {Buffer} rawBuffer
+ */
+async function storeImageVariants(productId, rawBuffer) {
+  const { width, height } = orientedSize(await sharp(rawBuffer).metadata());
+  if (!width || !height) throw new Error('Image has no dimensions');
+  const stem = `products/${productId}/${uuidv4()}`;
+
+  const variants = [];
+  for (const variantWidth of variantWidthsFor(width)) {
+    for (const { format, ext, contentType, options } of VARIANT_FORMATS) {
+      const { data, info } = await sharp(rawBuffer)
+        .rotate()
+        .resize(variantWidth)
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+      const key = `${stem}-${variantWidth}.${ext}`;
+      await putObjectBuffer(key, data, contentType);
+      variants.push({ width: info.width, height: info.height, format, url: publicUrlForKey(key) });
+    }
+  }
+
+  const jpegs = variants.filter((v) => v.format === 'jpeg');
+  const fallback = jpegs.filter((v) => v.width <= DEFAULT_VARIANT_WIDTH).pop() || jpegs[0];
+  const { dominant } = await sharp(rawBuffer).stats();
+  const placeholder = await sharp(rawBuffer).rotate().resize(PLACEHOLDER_WIDTH).webp({ quality: 40 }).toBuffer();
+  return {
+    url: fallback.url,
+    width,
+    height,
+    dominantColor: toHexColor(dominant),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    variants,
+  };
+}
+
+/**
+ * Why an uploaded image cannot be used, or null when it is a supported image within
+ * config.images limits. Only reads the header (dimensions are checked before decoding).
+ * @param {Buffer} buffer
+ * @returns {Promise<string | null>}
  */
-export async function processProductImages(productId, tempKeys) {
-  if (!Array.isArray(tempKeys) || tempKeys.length === 0) {
-    return { thumbnailUrl: null, imageUrls: [] };
+async function getImageBufferError(buffer) {
+  const { minDimension, maxDimension } = config.images;
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: maxDimension * maxDimension }).metadata();
+  } catch {
+    return 'File is not a readable image';
+  }
+  // HEIF covers AVIF (AV1) and HEIC (HEVC); only AVIF can be decoded here
+  const supported = ['jpeg', 'png', 'webp'].includes(meta.format) || (meta.format === 'heif' && meta.compression === 'av1');
+  if (!supported) {
+    return `Unsupported image format${meta.format ? ` (${meta.format})` : ''}; use JPEG, PNG, WebP or AVIF`;
+  }
+  const { width, height } = orientedSize(meta);
+  if (!width || !height || width < minDimension || height < minDimension) {
+    return `Image is too small (${width}x${height}); minimum is ${minDimension}x${minDimension} pixels`;
   }
-  const publicUrl = config.r2.publicUrl?.replace(/\/$/, '');
-  if (!publicUrl) throw new Error('R2_PUBLIC_URL is required');
+  if (width > maxDimension || height > maxDimension) {
+    return `Image is too large (${width}x${height}); maximum is ${maxDimension}x${maxDimension} pixels`;
+  }
+  return null;
+}
 
-  const prefix = `products/${productId}`;
-  const thumbnailKey = `${prefix}/thumbnail.jpg`;
-  const imageKeys = tempKeys.map((_, i) => `${prefix}/image-${i + 1}.jpg`);
-  const thumbnailUrl = `${publicUrl}/${thumbnailKey}`;
-  const imageUrls = imageKeys.map((k) => `${publicUrl}/${k}`);
+/**
+ * Downloads and checks uploaded temp images before anything is stored. Keys must be the user's own
+ * uploads (temp/products/{userId}/{file}); each object must be a supported image within
+ * config.images.maxBytes and the dimension limits.
+ * Returns the buffers in order, or per-image errors naming the bad images so the client can
+ * re-upload only those.
+ * @param {string} userId - uploader (the presign caller)
+ * @param {string[]} tempKeys
+ * @returns {Promise<{ images?: { key: string, buffer: Buffer }[], invalidImages?: { index: number, key: string, error: string }[] }>}
+ */
+export async function loadTempImages(userId, tempKeys) {
+  const prefix = `temp/products/${userId}/`;
+  const { maxBytes } = config.images;
+  const images = [];
+  const invalidImages = [];
+  for (let index = 0; index < tempKeys.length; index++) {
+    const key = tempKeys[index];
+    const fail = (error) => invalidImages.push({ index, key: String(key), error });
+    const file = typeof key === 'string' && key.startsWith(prefix) ? key.slice(prefix.length) : '';
+    if (!file || file.includes('/') || file === '.' || file === '..') {
+      fail('Not one of your uploads; request a new upload URL');
+      continue;
+    }
+    const buffer = await getStorage().get(key, maxBytes);
+    if (!buffer) {
+      fail('Upload not found; it may have failed or expired');
+      continue;
+    }
+    if (buffer.tooLarge) {
+      fail(`Image exceeds ${Math.floor(maxBytes / (1024 * 1024))} MB`);
+      continue;
+    }
+    const error = await getImageBufferError(buffer);
+    if (error) {
+      fail(error);
+      continue;
+    }
+    images.push({ key, buffer });
+  }
+  return invalidImages.length > 0 ? { invalidImages } : { images };
+}
 
-  for (let i = 0; i < tempKeys.length; i++) {
-    const tempKey = tempKeys[i];
-    const rawBuffer = await getObjectBuffer(tempKey);
+/**
+ * Process loaded temp images (see loadTempImages) into product folder: upload responsive variants, delete temp.
+ * - First image → thumbnail.jpg (fits 400x400)
+ * - Every image → {uuid}-{width}.avif/.webp/.jpg (see storeImageVariants)
+ * Outputs are auto-rotated and stripped of EXIF/GPS metadata.
+ * All work in memory (no server disk). Returns { thumbnailUrl, imageUrls, imageMeta }.
+ * @param {string} productId - Mongo ObjectId string
+ * @param {{ key: string, buffer: Buffer }[]} images - in display order
+ */
+export async function processProductImages(productId, images) {
+  if (!Array.isArray(images) || images.length === 0) {
+    return { thumbnailUrl: null, imageUrls: [], imageMeta: [] };
+  }
+  // Fails before any upload when public URLs are not configured
+  publicUrlForKey('');
+  let thumbnailUrl = null;
+  const imageMeta = [];
+  for (let i = 0; i < images.length; i++) {
+    const { key: tempKey, buffer: rawBuffer } = images[i];
 
     if (i === 0) {
-      const thumbBuffer = await resizeTo(rawBuffer, { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE });
-      await putObjectBuffer(thumbnailKey, thumbBuffer);
-      const img1Buffer = await resizeTo(rawBuffer, { width: IMAGE_SIZE, height: IMAGE_SIZE });
-      await putObjectBuffer(imageKeys[0], img1Buffer);
-    } else {
-      const imgBuffer = await resizeTo(rawBuffer, { width: IMAGE_SIZE, height: IMAGE_SIZE });
-      await putObjectBuffer(imageKeys[i], imgBuffer);
+      await putObjectBuffer(`products/${productId}/thumbnail.jpg`, await makeThumbnail(rawBuffer));
+      thumbnailUrl = thumbnailUrlFor(productId);
     }
+    imageMeta.push(await storeImageVariants(productId, rawBuffer));
+
+    await getStorage().delete([tempKey]);
+  }
+
+  return { thumbnailUrl, imageUrls: imageMeta.map((m) => m.url), imageMeta };
+}
 
-    await deleteObject(tempKey);
+/**
+ * Append loaded temp images to an existing product (for PUT /products/:id). No thumbnail update.
+ * @param {string} productId
+ * @param {{ key: string, buffer: Buffer }[]} images - from loadTempImages
+ * @returns {Promise<{ imageUrls: string[], imageMeta: object[] }>}
+ */
+export async function processProductImagesAppend(productId, images) {
+  if (!Array.isArray(images) || images.length === 0) return { imageUrls: [], imageMeta: [] };
+  // Fails before any upload when public URLs are not configured
+  publicUrlForKey('');
+  const imageMeta = [];
+  for (const { key: tempKey, buffer: rawBuffer } of images) {
+    imageMeta.push(await storeImageVariants(productId, rawBuffer));
+    await getStorage().delete([tempKey]);
   }
+  return { imageUrls: imageMeta.map((m) => m.url), imageMeta };
+}
 
-  return { thumbnailUrl, imageUrls };
+/**
+ * Rebuild products/{productId}/thumbnail.jpg (fits 400x400) from one of the product's stored images.
+ * @param {string} productId
+ * @param {string} imageUrl - public URL of the cover image
+ * @returns {Promise<string>} new thumbnail URL
+ */
+export async function regenerateProductThumbnail(productId, imageUrl) {
+  const key = productImageKeyFromUrl(productId, imageUrl);
+  if (!key) throw new Error('Cover image is not stored for this product');
+  const rawBuffer = await getStorage().get(key);
+  if (!rawBuffer) throw new Error('Cover image no longer exists');
+  await putObjectBuffer(`products/${productId}/thumbnail.jpg`, await makeThumbnail(rawBuffer));
+  return thumbnailUrlFor(productId);
 }
 
 /**
- * Append temp images to an existing product (for PUT /products/:id).
- * Writes image-{startIndex+1}.jpg, ... (800x800). No thumbnail update.
+ * Delete stored images of a product by public URL, with all their variants. URLs outside
+ * products/{productId}/ are skipped.
+ * @param {string} productId
+ * @param {string[]} imageUrls
+ * @returns {Promise<number>} number of objects deleted
  */
-export async function processProductImagesAppend(productId, tempKeys, startIndex = 0) {
-  if (!Array.isArray(tempKeys) || tempKeys.length === 0) return [];
-  const publicUrl = config.r2.publicUrl?.replace(/\/$/, '');
-  if (!publicUrl) throw new Error('R2_PUBLIC_URL is required');
-  const prefix = `products/${productId}`;
-  const imageUrls = [];
-  for (let i = 0; i < tempKeys.length; i++) {
-    const tempKey = tempKeys[i];
-    const rawBuffer = await getObjectBuffer(tempKey);
-    const idx = startIndex + i + 1;
-    const imageKey = `${prefix}/image-${idx}.jpg`;
-    const imgBuffer = await resizeTo(rawBuffer, { width: IMAGE_SIZE, height: IMAGE_SIZE });
-    await putObjectBuffer(imageKey, imgBuffer);
-    await deleteObject(tempKey);
-    imageUrls.push(`${publicUrl}/${imageKey}`);
+export async function deleteProductImagesByUrl(productId, imageUrls) {
+  const keys = [];
+  for (const url of imageUrls) {
+    const key = productImageKeyFromUrl(productId, url);
+    if (!key) continue;
+    const variantStem = key.match(VARIANT_KEY_PATTERN)?.[1];
+    if (variantStem) {
+      keys.push(...(await getStorage().list(`${variantStem}-`)).filter((k) => VARIANT_KEY_PATTERN.test(k)));
+    } else {
+      keys.push(key);
+    }
   }
-  return imageUrls;
+  await getStorage().delete(keys);
+  return keys.length;
+}
+
+/**
+ * Delete the thumbnail of a product that no longer has images.
+ */
+export async function deleteProductThumbnail(productId) {
+  await getStorage().delete([`products/${productId}/thumbnail.jpg`]);
+}
+
+/**
+ * Delete every stored object of a product (products/{productId}/...).
+ * @param {string} productId - Mongo ObjectId string
+ * @returns {Promise<number>} number of objects deleted
+ */
+export async function deleteProductImages(productId) {
+  const storage = getStorage();
+  const keys = await storage.list(`products/${productId}/`);
+  await storage.delete(keys);
+  return keys.length;
 }
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { config } from '../config.js';
+
+/**
+ * Object storage for uploaded files. A driver is an object with the methods below; config.storage.driver
+ * picks one. 'r2' uses Cloudflare R2 (S3 API); 'local' keeps files under config.storage.localDir and is
+ * served by src/routes/storage.js (development and offline testing). To add a backend, add a factory to DRIVERS.
+ *
+ * - presignPut(key, contentType, expiresInSeconds) → URL the client PUTs the file body to
+ * - get(key, maxBytes?) → Buffer, null when missing or not a valid key; { tooLarge: true } when larger than maxBytes
+ * - put(key, buffer, contentType)
+ * - delete(keys) → deletes many keys (missing keys are ignored)
+ * - list(prefix) → all keys starting with prefix
+ * - publicUrl(key) → public URL; publicUrl('') is the prefix every public URL starts with
+ */
+
+async function readStream(body, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      body.destroy?.();
+      return { tooLarge: true };
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function createR2Driver({ accountId, accessKeyId, secretAccessKey, bucket, endpoint, publicUrl }) {
+  let s3Client = null;
+
+  function getS3Client() {
+    if (!s3Client) {
+      if (!accessKeyId || !secretAccessKey || !bucket) {
+        throw new Error('R2 credentials not configured (R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_BUCKET)');
+      }
+      s3Client = new S3Client({
+        region: 'auto',
+        endpoint: endpoint || `https://${accountId || 'account'}.r2.cloudflarestorage.com`,
+        credentials: { accessKeyId, secretAccessKey },
+        forcePathStyle: true,
+      });
+    }
+    return s3Client;
+  }
+
+  return {
+    async presignPut(key, contentType, expiresIn) {
+      const command = new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType });
+      return getSignedUrl(getS3Client(), command, { expiresIn });
+    },
+
+    async get(key, maxBytes = Infinity) {
+      if (typeof key !== 'string' || !key) return null;
+      let response;
+      try {
+        response = await getS3Client().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+      if (response.ContentLength > maxBytes) {
+        response.Body.destroy?.();
+        return { tooLarge: true };
+      }
+      return readStream(response.Body, maxBytes);
+    },
+
+    async put(key, buffer, contentType) {
+      await getS3Client().send(
+        new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })
+      );
+    },
+
+    async delete(keys) {
+      for (let i = 0; i < keys.length; i += 1000) {
+        const batch = keys.slice(i, i + 1000).map((Key) => ({ Key }));
+        const result = await getS3Client().send(
+          new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: batch, Quiet: true } })
+        );
+        if (result.Errors?.length) {
+          throw new Error(`Failed to delete ${result.Errors.length} objects`);
+        }
+      }
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let continuationToken;
+      do {
+        const page = await getS3Client().send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken })
+        );
+        for (const o of page.Contents || []) keys.push(o.Key);
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return keys;
+    },
+
+    publicUrl(key) {
+      const base = (publicUrl || '').replace(/\/$/, '');
+      if (!base) throw new Error('R2_PUBLIC_URL is required for product image URLs');
+      return `${base}/${key}`;
+    },
+  };
+}
+
+/**
+ * Signature of a local "presigned" upload URL (HMAC of key, content type and expiry).
+ */
+export function signLocalUpload(key, contentType, expires) {
+  return crypto
+    .createHmac('sha256', `${config.jwtSecret}:local-storage`)
+    .update(`${key}\n${contentType}\n${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Absolute path of a key under the local storage directory, or null for keys that would escape it.
+ */
+export function resolveLocalPath(key) {
+  const root = path.resolve(config.storage.localDir);
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some((p) => p === '..' || p === '')) {
+    return null;
+  }
+  const file = path.resolve(root, ...key.split('/'));
+  return file.startsWith(root + path.sep) ? file : null;
+}
+
+function createLocalDriver({ localDir, localPublicUrl }) {
+  const root = path.resolve(localDir);
+  const base = localPublicUrl.replace(/\/$/, '');
+
+  function filePath(key) {
+    const file = resolveLocalPath(key);
+    if (!file) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) files.push(...(await walk(full)));
+      else files.push(full);
+    }
+    return files;
+  }
+
+  return {
+    async presignPut(key, contentType, expiresIn) {
+      filePath(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({
+        contentType,
+        expires: String(expires),
+        signature: signLocalUpload(key, contentType, expires),
+      });
+      return `${base}/upload/${key}?${query}`;
+    },
+
+    async get(key, maxBytes = Infinity) {
+      const file = resolveLocalPath(key);
+      if (!file) return null;
+      let stat;
+      try {
+        stat = await fs.stat(file);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      if (stat.size > maxBytes) return { tooLarge: true };
+      return fs.readFile(file);
+    },
+
+    async put(key, buffer) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    async delete(keys) {
+      for (const key of keys) {
+        await fs.rm(filePath(key), { force: true });
+      }
+    },
+
+    async list(prefix) {
+      // Walk the deepest directory the prefix names, then filter by the full prefix
+      const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const files = await walk(dir ? path.join(root, ...dir.split('/')) : root);
+      return files
+        .map((f) => path.relative(root, f).split(path.sep).join('/'))
+        .filter((key) => key.startsWith(prefix));
+    },
+
+    publicUrl(key) {
+      return `${base}/files/${key}`;
+    },
+  };
+}
+
+const DRIVERS = {
+  r2: () => createR2Driver(config.r2),
+  local: () => createLocalDriver(config.storage),
+};
+
+let driver = null;
+
+/**
+ * The configured storage driver (created on first use).
+ */
+export function getStorage() {
+  if (!driver) {
+    const factory = DRIVERS[config.storage.driver];
+    if (!factory) throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    driver = factory();
+  }
+  return driver;
+}
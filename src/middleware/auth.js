@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { config } from '../config.js';
 import { findById } from '../store/users.js';
+import { hasPermission } from '../utils/roles.js';
 
 /**
  * Verify JWT and attach req.user. Use on protected routes.
@@ -19,9 +20,48 @@ export async function requireAuth(req, res, next) {
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
     req.user = user;
     next();
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 }
+
+/**
+ * Attach req.user when a valid Bearer token is sent; continue anonymously otherwise.
+ * Use on public routes whose response depends on the viewer (e.g. owners seeing their unpublished listing).
+ */
+export async function optionalAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  if (!token) return next();
+
+  try {
+    const payload = jwt.verify(token, config.jwtSecret);
+    const user = await findById(payload.userId);
+    if (user && !user.suspendedAt) req.user = user;
+  } catch (err) {
+    // invalid or expired token: treat as anonymous
+  }
+  next();
+}
+
+/**
+ * Allow only users whose role grants every given permission (see utils/roles.js). Use after requireAuth.
+ * @param {...import('../utils/roles.js').Permission} permissions
+ */
+export function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+    const missing = permissions.filter((p) => !hasPermission(req.user, p));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: `Forbidden: requires ${missing.join(', ')} permission` });
+    }
+    next();
+  };
+}
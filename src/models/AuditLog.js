@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * Record of a privileged action, e.g. an admin editing or deleting someone else's listing.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor is required'],
+    },
+    actorRole: { type: String, trim: true },
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      trim: true,
+    },
+    targetType: {
+      type: String,
+      required: [true, 'Target type is required'],
+      trim: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Target is required'],
+    },
+    // Owner of the target (e.g. listing owner) so actions can be listed per affected user
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ ownerId: 1, createdAt: -1 });
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
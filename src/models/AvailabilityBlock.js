@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const kindEnum = ['blocked', 'booked'];
+
+/**
+ * A period [start, end) when a rent listing is unavailable, aligned to its rentPeriod:
+ * 'blocked' by the owner, or 'booked' by an accepted BookingRequest.
+ */
+const availabilityBlockSchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: [true, 'Listing is required'],
+    },
+    start: { type: Date, required: [true, 'Start is required'] },
+    end: { type: Date, required: [true, 'End is required'] },
+    kind: {
+      type: String,
+      enum: { values: kindEnum, message: `kind must be one of: ${kindEnum.join(', ')}` },
+      required: true,
+    },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingRequest', default: null },
+    note: { type: String, trim: true, maxlength: 200, default: '' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+availabilityBlockSchema.index({ listingId: 1, end: 1, start: 1 });
+
+export const AvailabilityBlock = mongoose.model('AvailabilityBlock', availabilityBlockSchema);
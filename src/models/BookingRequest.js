@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const statusEnum = ['pending', 'accepted', 'declined', 'cancelled'];
+
+/**
+ * A renter's request to rent a listing for [start, end), aligned to the listing's rentPeriod.
+ * Accepting it books the range (AvailabilityBlock kind 'booked').
+ */
+const bookingRequestSchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: [true, 'Listing is required'],
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner is required'],
+    },
+    renterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Renter is required'],
+    },
+    start: { type: Date, required: [true, 'Start is required'] },
+    end: { type: Date, required: [true, 'End is required'] },
+    rentPeriod: { type: String, required: true },
+    periods: { type: Number, required: true, min: 1 },
+    message: { type: String, trim: true, maxlength: 1000, default: '' },
+    status: {
+      type: String,
+      enum: { values: statusEnum, message: `status must be one of: ${statusEnum.join(', ')}` },
+      default: 'pending',
+    },
+    decidedAt: { type: Date, default: null },
+    declineReason: { type: String, trim: true, maxlength: 500, default: '' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+bookingRequestSchema.index({ listingId: 1, status: 1, start: 1 });
+bookingRequestSchema.index({ ownerId: 1, createdAt: -1 });
+bookingRequestSchema.index({ renterId: 1, createdAt: -1 });
+
+export const BookingRequest = mongoose.model('BookingRequest', bookingRequestSchema);
@@ -40,6 +40,11 @@ const categorySchema = new mongoose.Schema(
       ref: 'Category',
       default: [],
     },
+    // Listing lifetime per listing type; null inherits from the nearest ancestor, then config.listingLifetimeDays
+    listingLifetimeDays: {
+      sell: { type: Number, min: [1, 'Lifetime must be at least 1 day'], default: null },
+      rent: { type: Number, min: [1, 'Lifetime must be at least 1 day'], default: null },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Message thread between a buyer and the seller about one listing (one thread per listing and buyer).
+ * The listing's title/slug/thumbnail are copied so the inbox still makes sense after it is deleted.
+ */
+const conversationSchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: [true, 'Listing is required'],
+    },
+    listing: {
+      title: { type: String, default: '' },
+      slug: { type: String, default: '' },
+      thumbnail: { type: String, default: '' },
+    },
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller is required'],
+    },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Buyer is required'],
+    },
+    lastMessage: {
+      text: { type: String, default: '' },
+      senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    },
+    lastMessageAt: { type: Date, default: Date.now },
+    // Messages each side has not read yet
+    sellerUnread: { type: Number, default: 0 },
+    buyerUnread: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+conversationSchema.index({ listingId: 1, buyerId: 1 }, { unique: true });
+conversationSchema.index({ sellerId: 1, lastMessageAt: -1 });
+conversationSchema.index({ buyerId: 1, lastMessageAt: -1 });
+
+export const Conversation = mongoose.model('Conversation', conversationSchema);
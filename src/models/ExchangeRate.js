@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Admin-maintained exchange rates. GEL is the base currency (rate 1, not stored):
+ * rateToGel is the amount of GEL one unit of `currency` buys.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    },
+    rateToGel: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be positive'],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+// currency: unique index is already created by schema option unique: true
+export const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
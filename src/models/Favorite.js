@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * A listing saved by a user. Listing.saves counts these documents.
+ */
+const favoriteSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: [true, 'Listing is required'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+favoriteSchema.index({ userId: 1, listingId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+
+export const Favorite = mongoose.model('Favorite', favoriteSchema);
@@ -1,12 +1,16 @@
 import mongoose from 'mongoose';
+import { flattenSpecificationsText } from '../utils/search.js';
+import { toBasePrice } from '../services/currencyService.js';
 
 const rentPeriodEnum = ['hour', 'day', 'week', 'month'];
 const typeEnum = ['sell', 'rent'];
-const currencyEnum = ['GEL', 'USD'];
+export const LISTING_CURRENCIES = ['GEL', 'USD'];
 const priceTypeEnum = ['fixed', 'negotiable'];
 const conditionEnum = ['new', 'used'];
-const statusEnum = ['active', 'sold', 'rented', 'expired'];
+export const LISTING_STATUSES = ['active', 'sold', 'rented', 'expired'];
+const hiddenReasonEnum = [null, 'reports', 'moderator', 'ownerSuspended'];
 const promotionTypeEnum = ['none', 'highlighted', 'featured', 'homepageTop'];
+const moderationStatusEnum = ['pending', 'approved', 'rejected'];
 
 const listingSchema = new mongoose.Schema(
   {
@@ -73,9 +77,11 @@ const listingSchema = new mongoose.Schema(
     currency: {
       type: String,
       required: [true, 'Currency is required'],
-      enum: { values: currencyEnum, message: `Currency must be one of: ${currencyEnum.join(', ')}` },
+      enum: { values: LISTING_CURRENCIES, message: `Currency must be one of: ${LISTING_CURRENCIES.join(', ')}` },
       default: 'GEL',
     },
+    // price converted to GEL (see currencyService); set in pre-save, refreshed when exchange rates change
+    priceGel: { type: Number, default: null },
     priceType: {
       type: String,
       enum: { values: priceTypeEnum, message: `Price type must be one of: ${priceTypeEnum.join(', ')}` },
@@ -97,6 +103,30 @@ const listingSchema = new mongoose.Schema(
         message: 'Images must be an array of non-empty strings',
       },
     },
+    // Responsive variants per image (see storeImageVariants in src/lib/r2.js); images keeps plain URLs
+    // for older clients. Entries are matched to images by url; legacy images have none.
+    imageMeta: {
+      type: [
+        {
+          _id: false,
+          url: { type: String, required: true },
+          width: Number,
+          height: Number,
+          dominantColor: String,
+          placeholder: String,
+          variants: [
+            {
+              _id: false,
+              width: Number,
+              height: Number,
+              format: { type: String, enum: ['avif', 'webp', 'jpeg'] },
+              url: String,
+            },
+          ],
+        },
+      ],
+      default: [],
+    },
     thumbnail: {
       type: String,
       default: function () {
@@ -110,8 +140,20 @@ const listingSchema = new mongoose.Schema(
       // Flexible for: condition, brand, model, year, capacity, power, etc.
       // ElasticSearch-friendly: flat key-value structure
     },
+    // Derived from specifications in pre-save; feeds the text index (not part of the API payload)
+    specificationsText: { type: String, default: '' },
 
+    // regionId/cityId reference the Region/City collections (city belongs to region, see locationService);
+    // region/city hold their labels, denormalized for display and search
     location: {
+      regionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Region',
+      },
+      cityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'City',
+      },
       region: {
         type: String,
         required: [true, 'Region is required'],
@@ -133,16 +175,46 @@ const listingSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: { values: statusEnum, message: `Status must be one of: ${statusEnum.join(', ')}` },
+      enum: { values: LISTING_STATUSES, message: `Status must be one of: ${LISTING_STATUSES.join(', ')}` },
       default: 'active',
     },
 
+    // Review state, separate from sale state (status). Only approved listings are public;
+    // documents created before moderation have no value and count as approved.
+    moderationStatus: {
+      type: String,
+      enum: { values: moderationStatusEnum, message: `moderationStatus must be one of: ${moderationStatusEnum.join(', ')}` },
+      default: 'approved',
+    },
+    moderationReason: { type: String, trim: true, maxlength: 1000, default: '' },
+    moderatedAt: { type: Date, default: null },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Soft delete: set by DELETE /products/:id; restorable until the purge job removes the listing and its images
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Hidden from the public after abuse reports (automatically or by a moderator) or owner suspension
+    hiddenAt: { type: Date, default: null },
+    hiddenReason: {
+      type: String,
+      enum: { values: hiddenReasonEnum, message: `hiddenReason must be one of: ${hiddenReasonEnum.join(', ')}` },
+      default: null,
+    },
+
     promotionType: {
       type: String,
       enum: { values: promotionTypeEnum, message: `promotionType must be one of: ${promotionTypeEnum.join(', ')}` },
       default: 'none',
     },
     promotionExpiresAt: { type: Date, default: null },
+    // Sort rank of the running promotion (promotionTypeRank; 3 = none). Set with promotionType by
+    // promotionService and reset to 3 by the promotion expiry job; listing pages sort on it
+    promotionRank: { type: Number, default: 3 },
+
+    // Set on create/renewal from the type/category lifetime; the expiry job flips status to 'expired' after it
+    expiresAt: { type: Date, default: null },
+    expiryReminderSentAt: { type: Date, default: null },
+    // Start of the current lifetime when the listing was renewed (else createdAt)
+    renewedAt: { type: Date, default: null },
 
     views: { type: Number, default: 0 },
     saves: { type: Number, default: 0 },
@@ -161,11 +233,19 @@ const listingSchema = new mongoose.Schema(
 // slug: unique index is already created by schema option unique: true
 listingSchema.index({ type: 1 });
 listingSchema.index({ 'category.slug': 1 });
-listingSchema.index({ 'location.region': 1 });
+listingSchema.index({ 'location.regionId': 1, 'location.cityId': 1 });
+listingSchema.index({ 'location.cityId': 1 });
 listingSchema.index({ promotionType: 1, promotionExpiresAt: 1 });
 listingSchema.index({ createdAt: -1 });
 listingSchema.index({ status: 1, type: 1 });
 listingSchema.index({ ownerId: 1, status: 1 });
+listingSchema.index({ priceGel: 1 });
+listingSchema.index({ moderationStatus: 1, createdAt: 1 });
+listingSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+listingSchema.index({ status: 1, expiresAt: 1 });
+
+// Default listing page order (promotion rank, newest first); keyset cursors continue from the last item
+listingSchema.index({ status: 1, promotionRank: 1, createdAt: -1, _id: -1 });
 
 // Compound index for common listing list query: active + type + category + sort
 listingSchema.index({ status: 1, type: 1, 'category.slug': 1, createdAt: -1 });
@@ -173,6 +253,18 @@ listingSchema.index({ status: 1, type: 1, 'category.slug': 1, createdAt: -1 });
 // categoryId: single-field index already created by schema option index: true
 listingSchema.index({ categoryId: 1, 'attributes.filterId': 1, 'attributes.value': 1 });
 
+// Keyword search (GET /products?q=). default_language 'none' disables stemming and stop words,
+// so Georgian and Latin terms are tokenized the same way.
+listingSchema.index(
+  { title: 'text', 'category.name': 'text', specificationsText: 'text', description: 'text' },
+  {
+    name: 'listing_text_search',
+    default_language: 'none',
+    language_override: 'searchLanguage',
+    weights: { title: 10, 'category.name': 5, specificationsText: 3, description: 1 },
+  }
+);
+
 // Ensure rentPeriod is cleared when type is 'sell'; ensure set when type is 'rent'
 listingSchema.pre('save', function (next) {
   if (this.type === 'sell') {
@@ -185,7 +277,21 @@ listingSchema.pre('save', function (next) {
   if (!this.thumbnail && this.images && this.images.length > 0) {
     this.thumbnail = this.images[0];
   }
+  if (this.isModified('images') && this.imageMeta?.length > 0) {
+    const kept = new Set(this.images || []);
+    this.imageMeta = this.imageMeta.filter((m) => kept.has(m.url));
+  }
+  if (this.isNew || this.isModified('specifications')) {
+    this.specificationsText = flattenSpecificationsText(this.specifications);
+  }
   next();
 });
 
+listingSchema.pre('save', async function () {
+  if (this.isNew || this.isModified('price') || this.isModified('currency') || this.priceGel == null) {
+    // null when the currency has no exchange rate (reported once at startup by warnMissingExchangeRates)
+    this.priceGel = await toBasePrice(this.price, this.currency);
+  }
+});
+
 export const Listing = mongoose.model('Listing', listingSchema);
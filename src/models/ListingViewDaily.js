@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counted views of a listing per UTC day (day: 'YYYY-MM-DD'). ownerId is copied for per-seller stats.
+ */
+const listingViewDailySchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    day: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    count: { type: Number, default: 0 },
+  },
+  {
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+listingViewDailySchema.index({ listingId: 1, day: 1 }, { unique: true });
+listingViewDailySchema.index({ ownerId: 1, day: 1 });
+
+export const ListingViewDaily = mongoose.model('ListingViewDaily', listingViewDailySchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * Last counted view of a listing per viewer, used to de-duplicate repeat views within
+ * config.views.dedupeWindowMinutes. Documents are removed by TTL once the window has passed.
+ * viewerKey: 'u:<userId>' for signed-in users, 'a:<hash>' for anonymous fingerprints.
+ */
+const listingViewMarkSchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true,
+    },
+    viewerKey: { type: String, required: true },
+    lastCountedAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+listingViewMarkSchema.index({ listingId: 1, viewerKey: 1 }, { unique: true });
+listingViewMarkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ListingViewMark = mongoose.model('ListingViewMark', listingViewMarkSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * A message in a Conversation.
+ */
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: [true, 'Conversation is required'],
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Sender is required'],
+    },
+    text: {
+      type: String,
+      required: [true, 'Message text is required'],
+      trim: true,
+      maxlength: [MAX_MESSAGE_LENGTH, `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+messageSchema.index({ conversationId: 1, _id: -1 });
+
+export const Message = mongoose.model('Message', messageSchema);
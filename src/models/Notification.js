@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-app notification shown to a user (e.g. listing about to expire).
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    type: {
+      type: String,
+      required: [true, 'Notification type is required'],
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    body: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Type-specific payload, e.g. { listingId, slug }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+export const Notification = mongoose.model('Notification', notificationSchema);
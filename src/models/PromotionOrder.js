@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { PROMOTION_TYPES } from '../utils/promotion.js';
+
+const orderTypes = PROMOTION_TYPES.filter((t) => t !== 'none');
+const orderStatusEnum = ['pending', 'cancelled', 'active', 'completed', 'superseded'];
+
+/**
+ * A promotion bought (or granted) for a listing. Applied orders form the listing's promotion history:
+ * - pending: awaiting payment confirmation
+ * - active: applied; runs from startsAt to endsAt (startsAt may be in the future when it extends a running promotion)
+ * - completed: endsAt has passed
+ * - superseded: cut short at endsAt by an upgrade to a higher promotion type
+ * - cancelled: never applied
+ */
+const promotionOrderSchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: [true, 'Listing is required'],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromotionPackage',
+      default: null,
+    },
+    promotionType: {
+      type: String,
+      required: [true, 'Promotion type is required'],
+      enum: { values: orderTypes, message: `promotionType must be one of: ${orderTypes.join(', ')}` },
+    },
+    durationDays: {
+      type: Number,
+      required: [true, 'Duration is required'],
+      min: [1, 'Duration must be at least 1 day'],
+    },
+    price: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: 'GEL' },
+    status: {
+      type: String,
+      enum: { values: orderStatusEnum, message: `status must be one of: ${orderStatusEnum.join(', ')}` },
+      default: 'pending',
+    },
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+    // Staff member who confirmed payment or granted the promotion for free
+    processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String, trim: true, maxlength: 500, default: '' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+promotionOrderSchema.index({ listingId: 1, createdAt: -1 });
+promotionOrderSchema.index({ userId: 1, createdAt: -1 });
+promotionOrderSchema.index({ status: 1, endsAt: 1 });
+
+export const PromotionOrder = mongoose.model('PromotionOrder', promotionOrderSchema);
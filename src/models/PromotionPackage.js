@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { PROMOTION_TYPES } from '../utils/promotion.js';
+
+const packageTypes = PROMOTION_TYPES.filter((t) => t !== 'none');
+
+/**
+ * Purchasable promotion: a promotion type for a number of days at a price.
+ * Orders snapshot type, duration and price, so editing a package never changes past orders.
+ */
+const promotionPackageSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Code is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, 'Code may only contain lowercase letters, digits and hyphens'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    promotionType: {
+      type: String,
+      required: [true, 'Promotion type is required'],
+      enum: { values: packageTypes, message: `promotionType must be one of: ${packageTypes.join(', ')}` },
+    },
+    durationDays: {
+      type: Number,
+      required: [true, 'Duration is required'],
+      min: [1, 'Duration must be at least 1 day'],
+      max: [365, 'Duration cannot exceed 365 days'],
+    },
+    price: {
+      type: Number,
+      required: [true, 'Price is required'],
+      min: [0, 'Price cannot be negative'],
+    },
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: 'GEL',
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    },
+    isActive: { type: Boolean, default: true },
+    order: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+// code: unique index is already created by schema option unique: true
+promotionPackageSchema.index({ isActive: 1, order: 1 });
+
+export const PromotionPackage = mongoose.model('PromotionPackage', promotionPackageSchema);
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['scam', 'prohibited', 'miscategorized', 'duplicate', 'offensive', 'other'];
+export const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+/**
+ * A user's abuse report about a listing. A user has at most one open report per listing;
+ * moderators resolve all open reports of a listing at once (dismissed or actioned).
+ */
+const reportSchema = new mongoose.Schema(
+  {
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: [true, 'Listing is required'],
+    },
+    // Listing owner at report time, so reports can be traced after the listing is gone
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner is required'],
+    },
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reporter is required'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      enum: { values: REPORT_REASONS, message: `reason must be one of: ${REPORT_REASONS.join(', ')}` },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: 'open',
+    },
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // 'dismiss', 'hide' or 'suspendOwner'
+    resolution: { type: String, default: null },
+    resolutionNote: { type: String, trim: true, default: '' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+reportSchema.index(
+  { listingId: 1, reporterId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reporterId: 1, createdAt: -1 });
+
+export const Report = mongoose.model('Report', reportSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * A buyer's review of a seller, optionally about a listing. One per reviewer, seller and listing
+ * (listingId null counts as one "general" review). The seller may reply once.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller is required'],
+    },
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reviewer is required'],
+    },
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      default: null,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+      validate: { validator: Number.isInteger, message: 'Rating must be a whole number' },
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review cannot exceed 2000 characters'],
+      default: '',
+    },
+    reply: {
+      text: { type: String, trim: true, maxlength: [2000, 'Reply cannot exceed 2000 characters'] },
+      createdAt: { type: Date },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+reviewSchema.index({ reviewerId: 1, sellerId: 1, listingId: 1 }, { unique: true });
+reviewSchema.index({ sellerId: 1, createdAt: -1 });
+
+export const Review = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_CHANNELS } from '../services/notificationChannels.js';
+
+const frequencyEnum = ['instant', 'daily'];
+
+/**
+ * A named GET /products query a user wants alerts for. query is the canonical query string (paging and
+ * sort removed), re-evaluated with buildListingMatch; type/categoryId/categorySlug copy its exact-match
+ * params so new listings are only checked against searches that can match them.
+ */
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    query: {
+      type: String,
+      required: [true, 'Query is required'],
+      maxlength: [2000, 'Query cannot exceed 2000 characters'],
+    },
+    type: { type: String, default: null },
+    categoryId: { type: String, default: null },
+    categorySlug: { type: String, default: null },
+    frequency: {
+      type: String,
+      enum: { values: frequencyEnum, message: `frequency must be one of: ${frequencyEnum.join(', ')}` },
+      default: 'instant',
+    },
+    channels: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ['inApp'],
+    },
+    // Last time matches were delivered (daily digests are sent at most once per 24 hours)
+    lastNotifiedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+
+export const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * A listing that matched a saved search when it was published. Unique per search and listing, so a
+ * listing is announced once even if it is re-approved. notifiedAt stays null until delivered
+ * (daily searches collect matches until their digest is sent).
+ */
+const savedSearchMatchSchema = new mongoose.Schema(
+  {
+    savedSearchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavedSearch',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true,
+    },
+    notifiedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+savedSearchMatchSchema.index({ savedSearchId: 1, listingId: 1 }, { unique: true });
+savedSearchMatchSchema.index({ notifiedAt: 1, savedSearchId: 1 });
+
+export const SavedSearchMatch = mongoose.model('SavedSearchMatch', savedSearchMatchSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES } from '../utils/roles.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,7 +31,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['customer', 'admin'],
+      enum: ROLES,
       default: 'customer',
     },
     phone: {
@@ -43,6 +44,14 @@ const userSchema = new mongoose.Schema(
       enum: ['physical', 'business'],
       default: 'physical',
     },
+    // Set by moderators (reports); suspended users cannot sign in and their listings are hidden
+    suspendedAt: { type: Date, default: null },
+    suspensionReason: { type: String, trim: true, default: '' },
+    // Seller rating from reviews, recomputed by reviewService on every review change
+    rating: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+    },
   },
   { timestamps: true }
 );
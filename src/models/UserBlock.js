@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * blockerId does not want messages from blockedId. Either side of a block stops the thread.
+ */
+const userBlockSchema = new mongoose.Schema(
+  {
+    blockerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    blockedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: false, versionKey: false },
+    toObject: { virtuals: false, versionKey: false },
+  }
+);
+
+userBlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+userBlockSchema.index({ blockedId: 1 });
+
+export const UserBlock = mongoose.model('UserBlock', userBlockSchema);
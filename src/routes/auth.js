@@ -4,6 +4,7 @@ import jwt from 'jsonwebtoken';
 import { config } from '../config.js';
 import { findByEmail, create } from '../store/users.js';
 import { requireAuth } from '../middleware/auth.js';
+import { normalizeRole } from '../utils/roles.js';
 
 const router = Router();
 
@@ -55,7 +56,7 @@ router.post('/register', async (req, res) => {
     );
 
     res.status(201).json({
-      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, businessName: user.businessName || '', role: user.role || 'customer', phone: user.phone || '', userType: user.userType || 'physical' },
+      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, businessName: user.businessName || '', role: normalizeRole(user.role), phone: user.phone || '', userType: user.userType || 'physical' },
       token,
     });
   } catch (err) {
@@ -84,6 +85,9 @@ router.post('/login', async (req, res) => {
     if (!match) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
 
     const userId = user._id.toString();
     const token = jwt.sign(
@@ -94,7 +98,7 @@ router.post('/login', async (req, res) => {
 
     const firstName = user.firstName ?? (user.name || '').split(' ')[0] ?? '';
     const lastName = user.lastName ?? (user.name || '').split(' ').slice(1).join(' ') ?? '';
-    const role = user.role === 'admin' ? 'admin' : 'customer';
+    const role = normalizeRole(user.role);
     res.json({
       user: { id: userId, email: user.email, firstName: user.firstName ?? '', lastName: user.lastName ?? '', businessName: user.businessName || '', role, phone: user.phone || '', userType: user.userType || 'physical' },
       token,
@@ -112,7 +116,7 @@ router.get('/me', requireAuth, (req, res) => {
   const { id, email, firstName, lastName, name, role, phone, userType, businessName } = req.user;
   const first = firstName ?? (name || '').split(' ')[0] ?? '';
   const last = lastName ?? (name || '').split(' ').slice(1).join(' ') ?? '';
-  const userRole = role === 'admin' ? 'admin' : 'customer';
+  const userRole = normalizeRole(role);
   res.json({ user: { id, email, firstName: first, lastName: last, businessName: businessName || '', role: userRole, phone: phone || '', userType: userType || 'physical' } });
 });
 
@@ -134,7 +138,7 @@ router.patch('/me', requireAuth, async (req, res) => {
         firstName: updated.firstName || '',
         lastName: updated.lastName || '',
         businessName: updated.businessName || '',
-        role: updated.role || 'customer',
+        role: normalizeRole(updated.role),
         phone: updated.phone || '',
         userType: updated.userType || 'physical',
       },
@@ -1,9 +1,32 @@
 import { Router } from 'express';
 import { Category } from '../models/Category.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = Router();
 
+/**
+ * Parses body.listingLifetimeDays ({ sell?, rent? }: positive whole days or null to inherit).
+ * @returns {{ value?: { sell?: number | null, rent?: number | null }, error?: string }}
+ */
+function parseListingLifetimeDays(raw) {
+  if (raw === null) return { value: { sell: null, rent: null } };
+  if (typeof raw !== 'object') return { error: 'listingLifetimeDays must be an object { sell, rent }' };
+  const value = {};
+  for (const type of ['sell', 'rent']) {
+    if (raw[type] === undefined) continue;
+    if (raw[type] === null || raw[type] === '') {
+      value[type] = null;
+      continue;
+    }
+    const days = Number(raw[type]);
+    if (!Number.isInteger(days) || days < 1) {
+      return { error: `listingLifetimeDays.${type} must be a whole number of days (at least 1) or null` };
+    }
+    value[type] = days;
+  }
+  return { value };
+}
+
 /**
  * GET /categories
  * List all categories (optional query: ?parentId=id for children only, ?roots=1 for top-level only)
@@ -32,6 +55,10 @@ router.get('/', async (req, res) => {
       parentId: c.parentId ? c.parentId.toString() : null,
       level: c.level ?? 0,
       path: (c.path || []).map((id) => id.toString()),
+      listingLifetimeDays: {
+        sell: c.listingLifetimeDays?.sell ?? null,
+        rent: c.listingLifetimeDays?.rent ?? null,
+      },
       createdAt: c.createdAt,
       updatedAt: c.updatedAt,
     }));
@@ -68,6 +95,10 @@ router.get('/slug/:slug', async (req, res) => {
       parentId: category.parentId ? category.parentId.toString() : null,
       level: category.level ?? 0,
       path: (category.path || []).map((id) => id.toString()),
+      listingLifetimeDays: {
+        sell: category.listingLifetimeDays?.sell ?? null,
+        rent: category.listingLifetimeDays?.rent ?? null,
+      },
       createdAt: category.createdAt,
       updatedAt: category.updatedAt,
     });
@@ -97,6 +128,10 @@ router.get('/:id', async (req, res) => {
       parentId: category.parentId ? category.parentId.toString() : null,
       level: category.level ?? 0,
       path: (category.path || []).map((id) => id.toString()),
+      listingLifetimeDays: {
+        sell: category.listingLifetimeDays?.sell ?? null,
+        rent: category.listingLifetimeDays?.rent ?? null,
+      },
       createdAt: category.createdAt,
       updatedAt: category.updatedAt,
     });
@@ -108,15 +143,19 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /categories
- * Create a category (add). Body: { name, slug?, description?, active?, parentId? }
+ * Create a category (add). Body: { name, slug?, description?, active?, parentId?, listingLifetimeDays? }
  */
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('categories:write'), async (req, res) => {
   try {
-    const { name, slug, description, active, parentId } = req.body;
+    const { name, slug, description, active, parentId, listingLifetimeDays } = req.body;
 
     if (!name || typeof name !== 'string' || !name.trim()) {
       return res.status(400).json({ error: 'Category name is required' });
     }
+    const lifetime = listingLifetimeDays !== undefined ? parseListingLifetimeDays(listingLifetimeDays) : { value: {} };
+    if (lifetime.error) {
+      return res.status(400).json({ error: lifetime.error });
+    }
 
     const slugValue =
       (typeof slug === 'string' && slug.trim()) ||
@@ -150,6 +189,7 @@ router.post('/', requireAuth, async (req, res) => {
       description: typeof description === 'string' ? description.trim() : '',
       active: active !== false,
       parentId: parentIdObj || null,
+      listingLifetimeDays: { sell: lifetime.value.sell ?? null, rent: lifetime.value.rent ?? null },
     });
 
     res.status(201).json({
@@ -161,6 +201,10 @@ router.post('/', requireAuth, async (req, res) => {
       parentId: category.parentId ? category.parentId.toString() : null,
       level: category.level ?? 0,
       path: (category.path || []).map((id) => id.toString()),
+      listingLifetimeDays: {
+        sell: category.listingLifetimeDays?.sell ?? null,
+        rent: category.listingLifetimeDays?.rent ?? null,
+      },
       createdAt: category.createdAt,
       updatedAt: category.updatedAt,
     });
@@ -178,12 +222,12 @@ router.post('/', requireAuth, async (req, res) => {
 
 /**
  * PUT /categories/:id
- * Update a category (edit). Body: { name?, slug?, description?, active?, parentId? }
+ * Update a category (edit). Body: { name?, slug?, description?, active?, parentId?, listingLifetimeDays? }
  */
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('categories:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, slug, description, active, parentId } = req.body;
+    const { name, slug, description, active, parentId, listingLifetimeDays } = req.body;
 
     const category = await Category.findById(id);
     if (!category) {
@@ -220,6 +264,15 @@ router.put('/:id', requireAuth, async (req, res) => {
     if (active !== undefined) {
       category.active = !!active;
     }
+    if (listingLifetimeDays !== undefined) {
+      const lifetime = parseListingLifetimeDays(listingLifetimeDays);
+      if (lifetime.error) {
+        return res.status(400).json({ error: lifetime.error });
+      }
+      for (const [type, days] of Object.entries(lifetime.value)) {
+        category.set(`listingLifetimeDays.${type}`, days);
+      }
+    }
     if (parentId !== undefined) {
       if (parentId === null || parentId === '') {
         category.parentId = null;
@@ -246,6 +299,10 @@ router.put('/:id', requireAuth, async (req, res) => {
       parentId: category.parentId ? category.parentId.toString() : null,
       level: category.level ?? 0,
       path: (category.path || []).map((id) => id.toString()),
+      listingLifetimeDays: {
+        sell: category.listingLifetimeDays?.sell ?? null,
+        rent: category.listingLifetimeDays?.rent ?? null,
+      },
       createdAt: category.createdAt,
       updatedAt: category.updatedAt,
     });
@@ -265,7 +322,7 @@ router.put('/:id', requireAuth, async (req, res) => {
  * DELETE /categories/:id
  * Delete a category
  */
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('categories:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
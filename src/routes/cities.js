@@ -1,7 +1,8 @@
 import { Router } from 'express';
 import { City } from '../models/City.js';
+import { Listing } from '../models/Listing.js';
 import { Region } from '../models/Region.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -81,7 +82,7 @@ router.get('/:id', async (req, res) => {
  * POST /cities
  * Create a city. Body: { slug?, label, regionId }
  */
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('locations:write'), async (req, res) => {
   try {
     const { slug, label, regionId } = req.body;
 
@@ -151,7 +152,7 @@ router.post('/', requireAuth, async (req, res) => {
  * PUT /cities/:id
  * Update a city. Body: { slug?, label?, regionId? }
  */
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('locations:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { slug, label, regionId } = req.body;
@@ -226,9 +227,9 @@ router.put('/:id', requireAuth, async (req, res) => {
 
 /**
  * DELETE /cities/:id
- * Delete a city
+ * Delete a city. Returns 409 while listings (including deleted ones that can still be restored) use it.
  */
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('locations:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -237,6 +238,11 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'City not found' });
     }
 
+    const listingCount = await Listing.countDocuments({ 'location.cityId': city._id });
+    if (listingCount > 0) {
+      return res.status(409).json({ error: `City is used by ${listingCount} listing(s)` });
+    }
+
     await City.deleteOne({ _id: id });
 
     res.status(204).send();
@@ -0,0 +1,283 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { Conversation } from '../models/Conversation.js';
+import { Listing } from '../models/Listing.js';
+import { MAX_MESSAGE_LENGTH, Message } from '../models/Message.js';
+import { UserBlock } from '../models/UserBlock.js';
+import { User } from '../models/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { isListingPublic } from '../services/listingVisibility.js';
+import {
+  getBlockedUserIds,
+  getConversationRole,
+  getUnreadTotal,
+  markConversationRead,
+  sendMessage,
+  startConversation,
+  toConversationJson,
+  toMessageJson,
+} from '../services/messagingService.js';
+import { getUserDisplayName } from '../utils/userDisplay.js';
+
+const router = Router();
+
+const PARTICIPANT_FIELDS = 'firstName lastName businessName userType';
+
+router.use(requireAuth);
+
+/** Trimmed message text from the body, or an error message. */
+function parseMessageText(body) {
+  const text = typeof body?.text === 'string' ? body.text.trim() : '';
+  if (!text) return { error: 'Message text is required' };
+  if (text.length > MAX_MESSAGE_LENGTH) return { error: `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters` };
+  return { text };
+}
+
+/**
+ * Loads a conversation the current user takes part in; sends 404 and returns null otherwise.
+ */
+async function loadConversation(req, res) {
+  const { id } = req.params;
+  const conversation = mongoose.isValidObjectId(id) ? await Conversation.findById(id).lean() : null;
+  if (!conversation || !getConversationRole(conversation, req.user._id)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  return conversation;
+}
+
+/**
+ * GET /conversations
+ * Inbox: the current user's threads (as buyer or seller), most recent activity first.
+ * Query: ?role=buyer|seller, ?unread=1, ?limit=20&skip=0. Returns { items, total, unreadTotal }.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const userId = req.user._id;
+    const { role, unread } = req.query;
+    let filter;
+    if (role === 'seller') filter = { sellerId: userId };
+    else if (role === 'buyer') filter = { buyerId: userId };
+    else filter = { $or: [{ sellerId: userId }, { buyerId: userId }] };
+    if (unread === '1' || unread === 'true') {
+      filter = {
+        $or: [
+          ...(role !== 'buyer' ? [{ sellerId: userId, sellerUnread: { $gt: 0 } }] : []),
+          ...(role !== 'seller' ? [{ buyerId: userId, buyerUnread: { $gt: 0 } }] : []),
+        ],
+      };
+    }
+
+    const [conversations, total, unreadTotal, blockedIds] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('sellerId', PARTICIPANT_FIELDS)
+        .populate('buyerId', PARTICIPANT_FIELDS)
+        .lean(),
+      Conversation.countDocuments(filter),
+      getUnreadTotal(userId),
+      getBlockedUserIds(userId),
+    ]);
+    res.json({
+      items: conversations.map((c) => toConversationJson(c, userId, blockedIds)),
+      total,
+      unreadTotal,
+    });
+  } catch (err) {
+    console.error('Conversations list error:', err);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+/**
+ * GET /conversations/unread-count
+ * Returns { unreadTotal } for badge polling.
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({ unreadTotal: await getUnreadTotal(req.user._id) });
+  } catch (err) {
+    console.error('Conversations unread count error:', err);
+    res.status(500).json({ error: 'Failed to count unread messages' });
+  }
+});
+
+/**
+ * POST /conversations
+ * Message the seller of a listing. Body: { listingId, text }. Reuses the existing thread with that
+ * seller about that listing. Returns { conversation, message }.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { text, error: textError } = parseMessageText(req.body);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    const { listingId } = req.body;
+    const listing = mongoose.isValidObjectId(listingId)
+      ? await Listing.findById(listingId, { ownerId: 1, title: 1, slug: 1, thumbnail: 1, status: 1, moderationStatus: 1, hiddenAt: 1, deletedAt: 1 }).lean()
+      : null;
+    if (!listing || !isListingPublic(listing)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { conversation, message, error } = await startConversation(listing, req.user._id, text);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+    const populated = await Conversation.findById(conversation._id)
+      .populate('sellerId', PARTICIPANT_FIELDS)
+      .populate('buyerId', PARTICIPANT_FIELDS)
+      .lean();
+    res.status(201).json({
+      conversation: toConversationJson(populated, req.user._id),
+      message: toMessageJson(message),
+    });
+  } catch (err) {
+    console.error('Conversation start error:', err);
+    res.status(500).json({ error: 'Failed to start conversation' });
+  }
+});
+
+/**
+ * GET /conversations/blocks
+ * Users the current user has blocked: [{ userId, name, blockedAt }].
+ * Must be before /:id so "blocks" is not treated as id.
+ */
+router.get('/blocks', async (req, res) => {
+  try {
+    const blocks = await UserBlock.find({ blockerId: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('blockedId', PARTICIPANT_FIELDS)
+      .lean();
+    res.json(
+      blocks.map((b) => ({
+        userId: (b.blockedId?._id || b.blockedId).toString(),
+        name: b.blockedId?._id ? getUserDisplayName(b.blockedId) : undefined,
+        blockedAt: b.createdAt,
+      }))
+    );
+  } catch (err) {
+    console.error('Blocks list error:', err);
+    res.status(500).json({ error: 'Failed to list blocked users' });
+  }
+});
+
+/**
+ * PUT /conversations/blocks/:userId
+ * Block a user (idempotent): neither of you can send the other messages until unblocked.
+ */
+router.put('/blocks/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+    const exists = mongoose.isValidObjectId(userId) ? await User.exists({ _id: userId }) : null;
+    if (!exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await UserBlock.updateOne(
+      { blockerId: req.user._id, blockedId: userId },
+      { $setOnInsert: { blockerId: req.user._id, blockedId: userId } },
+      { upsert: true }
+    );
+    res.status(204).send();
+  } catch (err) {
+    if (err.code === 11000) return res.status(204).send();
+    console.error('Block user error:', err);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+/**
+ * DELETE /conversations/blocks/:userId
+ * Unblock a user (idempotent).
+ */
+router.delete('/blocks/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (mongoose.isValidObjectId(userId)) {
+      await UserBlock.deleteOne({ blockerId: req.user._id, blockedId: userId });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('Unblock user error:', err);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+/**
+ * GET /conversations/:id/messages
+ * Messages of a thread, newest first. Query: ?limit=30, ?before=<nextCursor> for older pages.
+ * Returns { items, nextCursor } (nextCursor null when there are no older messages).
+ */
+router.get('/:id/messages', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    const limit = Math.min(Number(req.query.limit) || 30, 100);
+    const { before } = req.query;
+    if (before !== undefined && !mongoose.isValidObjectId(before)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const filter = { conversationId: conversation._id };
+    if (before) filter._id = { $lt: new mongoose.Types.ObjectId(before) };
+
+    const messages = await Message.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+    const hasMore = messages.length > limit;
+    const items = messages.slice(0, limit);
+    res.json({
+      items: items.map(toMessageJson),
+      nextCursor: hasMore ? items[items.length - 1]._id.toString() : null,
+    });
+  } catch (err) {
+    console.error('Conversation messages error:', err);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+/**
+ * POST /conversations/:id/messages
+ * Reply in a thread. Body: { text }.
+ */
+router.post('/:id/messages', async (req, res) => {
+  try {
+    const { text, error: textError } = parseMessageText(req.body);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    const { message, error } = await sendMessage(conversation, req.user._id, text);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+    res.status(201).json(toMessageJson(message));
+  } catch (err) {
+    console.error('Conversation send error:', err);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * POST /conversations/:id/read
+ * Mark a thread as read for the current user.
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    await markConversationRead(conversation, req.user._id);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Conversation read error:', err);
+    res.status(500).json({ error: 'Failed to mark conversation read' });
+  }
+});
+
+export default router;
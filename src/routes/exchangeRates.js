@@ -0,0 +1,95 @@
+import { Router } from 'express';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { Listing } from '../models/Listing.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { BASE_CURRENCY, invalidateExchangeRates } from '../services/currencyService.js';
+
+const router = Router();
+
+function toRateJson(r) {
+  return {
+    currency: r.currency,
+    rateToGel: r.rateToGel,
+    updatedAt: r.updatedAt,
+  };
+}
+
+/**
+ * Recomputes Listing.priceGel for every listing priced in currency (rate null → priceGel null).
+ */
+async function refreshListingPrices(currency, rateToGel) {
+  const priceGel = rateToGel ? { $round: [{ $multiply: ['$price', rateToGel] }, 2] } : null;
+  await Listing.updateMany({ currency }, [{ $set: { priceGel } }]);
+}
+
+/**
+ * GET /exchange-rates
+ * List exchange rates (GEL per unit). The base currency GEL is always included with rate 1.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({}).sort({ currency: 1 }).lean();
+    res.json([{ currency: BASE_CURRENCY, rateToGel: 1, updatedAt: null }, ...rates.map(toRateJson)]);
+  } catch (err) {
+    console.error('Exchange rates list error:', err);
+    res.status(500).json({ error: 'Failed to list exchange rates' });
+  }
+});
+
+/**
+ * PUT /exchange-rates/:currency
+ * Create or update a rate (requires exchangeRates:write). Body: { rateToGel }. Re-normalizes prices of listings in that currency.
+ */
+router.put('/:currency', requireAuth, requirePermission('exchangeRates:write'), async (req, res) => {
+  try {
+    const currency = String(req.params.currency || '').trim().toUpperCase();
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `${BASE_CURRENCY} is the base currency and always has rate 1` });
+    }
+    const rateToGel = Number(req.body?.rateToGel);
+    if (!Number.isFinite(rateToGel) || rateToGel <= 0) {
+      return res.status(400).json({ error: 'rateToGel must be a positive number' });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rateToGel, updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    invalidateExchangeRates();
+    await refreshListingPrices(currency, rateToGel);
+
+    res.json(toRateJson(rate));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const msg = Object.values(err.errors)
+        .map((e) => e.message)
+        .join(' ');
+      return res.status(400).json({ error: msg });
+    }
+    console.error('Exchange rate update error:', err);
+    res.status(500).json({ error: 'Failed to update exchange rate' });
+  }
+});
+
+/**
+ * DELETE /exchange-rates/:currency
+ * Remove a rate (requires exchangeRates:write). Listings in that currency lose their normalized price until a rate is set again.
+ */
+router.delete('/:currency', requireAuth, requirePermission('exchangeRates:write'), async (req, res) => {
+  try {
+    const currency = String(req.params.currency || '').trim().toUpperCase();
+    const rate = await ExchangeRate.findOneAndDelete({ currency });
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    invalidateExchangeRates();
+    await refreshListingPrices(currency, null);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Exchange rate delete error:', err);
+    res.status(500).json({ error: 'Failed to delete exchange rate' });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { Favorite } from '../models/Favorite.js';
+import { Listing } from '../models/Listing.js';
+import { requireAuth } from '../middleware/auth.js';
+import { getDisplayCurrency } from '../services/currencyService.js';
+import { addFavorite, getFavoriteUnavailableReason, removeFavorite } from '../services/favoriteService.js';
+import { toListingJson } from '../services/listingService.js';
+import { isListingPublic } from '../services/listingVisibility.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+/**
+ * GET /favorites
+ * Current user's saved listings, most recently saved first. Query: ?limit=50&skip=0, ?currency=.
+ * Returns { items: [{ listingId, savedAt, available, unavailableReason, listing }], total }.
+ * Sold, rented and expired listings come with available: false and their listing; listings hidden by
+ * moderation only expose id, title, slug and thumbnail; deleted listings have listing: null.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const filter = { userId: req.user._id };
+
+    const [favorites, total] = await Promise.all([
+      Favorite.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Favorite.countDocuments(filter),
+    ]);
+    const listings = await Listing.find({ _id: { $in: favorites.map((f) => f.listingId) } })
+      .populate('ownerId', 'firstName lastName businessName userType rating')
+      .lean();
+    const listingById = new Map(listings.map((l) => [l._id.toString(), l]));
+
+    const items = favorites.map((f) => {
+      const listing = listingById.get(f.listingId.toString()) || null;
+      const unavailableReason = getFavoriteUnavailableReason(listing);
+      let listingJson = null;
+      if (listing && isListingPublic(listing)) {
+        listingJson = { ...toListingJson(listing, display), isSaved: true };
+      } else if (listing) {
+        listingJson = { id: listing._id.toString(), title: listing.title, slug: listing.slug, thumbnail: listing.thumbnail };
+      }
+      return {
+        listingId: f.listingId.toString(),
+        savedAt: f.createdAt,
+        available: unavailableReason === null,
+        unavailableReason,
+        listing: listingJson,
+      };
+    });
+    res.json({ items, total });
+  } catch (err) {
+    console.error('Favorites list error:', err);
+    res.status(500).json({ error: 'Failed to list favorites' });
+  }
+});
+
+/**
+ * DELETE /favorites/unavailable
+ * Remove saved listings that were deleted, hidden, sold, rented or expired. Returns { removed }.
+ * Must be before /:listingId so "unavailable" is not treated as id.
+ */
+router.delete('/unavailable', async (req, res) => {
+  try {
+    const favorites = await Favorite.find({ userId: req.user._id }, { listingId: 1 }).lean();
+    const listings = await Listing.find(
+      { _id: { $in: favorites.map((f) => f.listingId) } },
+      { status: 1, moderationStatus: 1, hiddenAt: 1, deletedAt: 1 }
+    ).lean();
+    const listingById = new Map(listings.map((l) => [l._id.toString(), l]));
+    let removed = 0;
+    for (const f of favorites) {
+      if (getFavoriteUnavailableReason(listingById.get(f.listingId.toString()) || null) === null) continue;
+      if (await removeFavorite(req.user._id, f.listingId)) removed++;
+    }
+    res.json({ removed });
+  } catch (err) {
+    console.error('Favorites cleanup error:', err);
+    res.status(500).json({ error: 'Failed to remove unavailable favorites' });
+  }
+});
+
+/**
+ * PUT /favorites/:listingId
+ * Save a listing (idempotent). Only active, published listings can be saved. Returns { listingId, isSaved, saves }.
+ */
+router.put('/:listingId', async (req, res) => {
+  try {
+    const { listingId } = req.params;
+    const listing = mongoose.isValidObjectId(listingId) ? await Listing.findById(listingId, { status: 1, moderationStatus: 1, hiddenAt: 1, deletedAt: 1 }).lean() : null;
+    if (!listing || !isListingPublic(listing)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (listing.status !== 'active') {
+      return res.status(409).json({ error: `A ${listing.status} listing cannot be saved` });
+    }
+    await addFavorite(req.user._id, listing._id);
+    const { saves } = await Listing.findById(listing._id, { saves: 1 }).lean();
+    res.json({ listingId: listing._id.toString(), isSaved: true, saves });
+  } catch (err) {
+    console.error('Favorite add error:', err);
+    res.status(500).json({ error: 'Failed to save listing' });
+  }
+});
+
+/**
+ * DELETE /favorites/:listingId
+ * Unsave a listing (idempotent; also works for listings that no longer exist).
+ */
+router.delete('/:listingId', async (req, res) => {
+  try {
+    const { listingId } = req.params;
+    if (!mongoose.isValidObjectId(listingId)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    await removeFavorite(req.user._id, listingId);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Favorite remove error:', err);
+    res.status(500).json({ error: 'Failed to remove saved listing' });
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import { Filter } from '../models/Filter.js';
 import { getFiltersByCategory } from '../services/filterService.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -63,9 +63,9 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /filters
- * Create a filter (admin).
+ * Create a filter (requires filters:write).
  */
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('filters:write'), async (req, res) => {
   try {
     const { name, slug, type, options, unit, categoryId, applyToChildren, isRequired, sortOrder, isActive } =
       req.body;
@@ -123,9 +123,9 @@ router.post('/', requireAuth, async (req, res) => {
 
 /**
  * PUT /filters/:id
- * Update a filter (admin).
+ * Update a filter (requires filters:write).
  */
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('filters:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, slug, type, options, unit, categoryId, applyToChildren, isRequired, sortOrder, isActive } =
@@ -181,9 +181,9 @@ router.put('/:id', requireAuth, async (req, res) => {
 
 /**
  * DELETE /filters/:id
- * Delete a filter (admin).
+ * Delete a filter (requires filters:write).
  */
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('filters:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const filter = await Filter.findByIdAndDelete(id);
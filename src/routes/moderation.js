@@ -0,0 +1,245 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { Listing } from '../models/Listing.js';
+import { REPORT_STATUSES } from '../models/Report.js';
+import { User } from '../models/User.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { moderateListing } from '../services/moderationService.js';
+import { toListingJson } from '../services/listingService.js';
+import { queueSavedSearchAlerts } from '../services/savedSearchService.js';
+import {
+  actOnReports,
+  dismissReports,
+  getReportGroups,
+  suspendUser,
+  unhideListing,
+  unsuspendUser,
+} from '../services/reportService.js';
+
+const router = Router();
+
+const MAX_REASON_LENGTH = 1000;
+const REPORT_ACTIONS = ['hide', 'suspendOwner'];
+
+function parseNote(body) {
+  return typeof body?.note === 'string' ? body.note.trim().slice(0, MAX_REASON_LENGTH) : '';
+}
+
+router.use(requireAuth, requirePermission('listings:moderate'));
+
+/**
+ * GET /moderation/queue
+ * Listings awaiting review, oldest first. Query: ?status=pending|rejected (default pending), ?limit=50&skip=0.
+ * Returns { items, total }.
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const status = req.query.status === 'rejected' ? 'rejected' : 'pending';
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const filter = { moderationStatus: status, deletedAt: null };
+
+    const [docs, total] = await Promise.all([
+      Listing.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('ownerId', 'firstName lastName businessName userType rating')
+        .lean(),
+      Listing.countDocuments(filter),
+    ]);
+    res.json({ items: docs.map((d) => toListingJson(d)), total });
+  } catch (err) {
+    console.error('Moderation queue error:', err);
+    res.status(500).json({ error: 'Failed to load moderation queue' });
+  }
+});
+
+/**
+ * Loads the listing for a moderation action; sends 404 and returns null when missing.
+ */
+async function loadListing(req, res) {
+  const { id } = req.params;
+  const listing = mongoose.isValidObjectId(id) ? await Listing.findById(id) : null;
+  if (!listing || listing.deletedAt) {
+    res.status(404).json({ error: 'Product not found' });
+    return null;
+  }
+  return listing;
+}
+
+/**
+ * POST /moderation/listings/:id/approve
+ * Publish a listing and alert matching saved searches. Body: { reason? } (optional note for the seller).
+ */
+router.post('/listings/:id/approve', async (req, res) => {
+  try {
+    const listing = await loadListing(req, res);
+    if (!listing) return;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+    await moderateListing(listing, req.user, 'approved', reason);
+    queueSavedSearchAlerts(listing);
+    res.json(toListingJson(listing));
+  } catch (err) {
+    console.error('Moderation approve error:', err);
+    res.status(500).json({ error: 'Failed to approve listing' });
+  }
+});
+
+/**
+ * POST /moderation/listings/:id/reject
+ * Reject a listing. Body: { reason } (required, shown to the seller).
+ */
+router.post('/listings/:id/reject', async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ error: `Reason cannot exceed ${MAX_REASON_LENGTH} characters` });
+    }
+    const listing = await loadListing(req, res);
+    if (!listing) return;
+    await moderateListing(listing, req.user, 'rejected', reason);
+    res.json(toListingJson(listing));
+  } catch (err) {
+    console.error('Moderation reject error:', err);
+    res.status(500).json({ error: 'Failed to reject listing' });
+  }
+});
+
+/**
+ * GET /moderation/reports
+ * Abuse reports grouped by listing, listings with the most distinct reporters first.
+ * Query: ?status=open|dismissed|actioned (default open), ?limit=50&skip=0.
+ * Returns { items: [{ listingId, ownerId, listing, reportCount, reporterCount, reasons: { [reason]: count },
+ * firstReportedAt, lastReportedAt, recent: [{ id, reporterId, reason, comment, createdAt }] }], total }.
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const status = REPORT_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    res.json(await getReportGroups({ status, limit, skip }));
+  } catch (err) {
+    console.error('Moderation reports error:', err);
+    res.status(500).json({ error: 'Failed to load reports' });
+  }
+});
+
+/**
+ * POST /moderation/reports/listings/:listingId/dismiss
+ * Close the listing's open reports as unfounded; a listing hidden by reports becomes public again.
+ * Body: { note? }. Returns { resolved, unhidden }.
+ */
+router.post('/reports/listings/:listingId/dismiss', async (req, res) => {
+  try {
+    const { listingId } = req.params;
+    if (!mongoose.isValidObjectId(listingId)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(await dismissReports(listingId, req.user, parseNote(req.body)));
+  } catch (err) {
+    console.error('Moderation reports dismiss error:', err);
+    res.status(500).json({ error: 'Failed to dismiss reports' });
+  }
+});
+
+/**
+ * POST /moderation/reports/listings/:listingId/act
+ * Act on the listing's open reports. Body: { action: 'hide' | 'suspendOwner', note? }.
+ * hide: the listing stays hidden until unhidden; suspendOwner: also suspends the owner and hides all their listings.
+ * Returns { resolved, hiddenListings }.
+ */
+router.post('/reports/listings/:listingId/act', async (req, res) => {
+  try {
+    const action = req.body?.action;
+    if (!REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${REPORT_ACTIONS.join(', ')}` });
+    }
+    const { listingId } = req.params;
+    const listing = mongoose.isValidObjectId(listingId)
+      ? await Listing.findById(listingId, { ownerId: 1, title: 1, hiddenAt: 1, deletedAt: 1 }).lean()
+      : null;
+    if (!listing || listing.deletedAt) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const { error, status, ...result } = await actOnReports(listing, req.user, action, parseNote(req.body));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Moderation reports act error:', err);
+    res.status(500).json({ error: 'Failed to act on reports' });
+  }
+});
+
+/**
+ * POST /moderation/listings/:id/unhide
+ * Make a listing hidden by reports or by a moderator public again.
+ */
+router.post('/listings/:id/unhide', async (req, res) => {
+  try {
+    const listing = await loadListing(req, res);
+    if (!listing) return;
+    const { error } = await unhideListing(listing, req.user);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    const updated = await Listing.findById(listing._id)
+      .populate('ownerId', 'firstName lastName businessName userType rating')
+      .lean();
+    res.json(toListingJson(updated));
+  } catch (err) {
+    console.error('Moderation unhide error:', err);
+    res.status(500).json({ error: 'Failed to unhide listing' });
+  }
+});
+
+/**
+ * POST /moderation/users/:id/suspend
+ * Suspend a user: they cannot sign in and their listings are hidden. Staff accounts cannot be suspended.
+ * Body: { note? }. Returns { hiddenListings }.
+ */
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { error, status, hiddenListings } = await suspendUser(id, req.user, parseNote(req.body));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ hiddenListings });
+  } catch (err) {
+    console.error('Moderation suspend error:', err);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+/**
+ * POST /moderation/users/:id/unsuspend
+ * Lift a suspension; listings hidden because of it become public again. Returns { restoredListings }.
+ */
+router.post('/users/:id/unsuspend', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const exists = mongoose.isValidObjectId(id) ? await User.exists({ _id: id }) : null;
+    if (!exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { error, restoredListings } = await unsuspendUser(id, req.user);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.json({ restoredListings });
+  } catch (err) {
+    console.error('Moderation unsuspend error:', err);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { Notification } from '../models/Notification.js';
+import { requireAuth } from '../middleware/auth.js';
+import { toNotificationJson } from '../services/notificationService.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+/**
+ * GET /notifications
+ * Current user's notifications, newest first. Query: ?unread=1, ?limit=50&skip=0.
+ * Returns { items, unreadCount }.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const filter = { userId: req.user._id };
+    if (req.query.unread === '1' || req.query.unread === 'true') filter.readAt = null;
+
+    const [items, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Notification.countDocuments({ userId: req.user._id, readAt: null }),
+    ]);
+    res.json({ items: items.map(toNotificationJson), unreadCount });
+  } catch (err) {
+    console.error('Notifications list error:', err);
+    res.status(500).json({ error: 'Failed to list notifications' });
+  }
+});
+
+/**
+ * POST /notifications/read-all
+ * Mark all of the current user's notifications as read.
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    await Notification.updateMany({ userId: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+    res.status(204).send();
+  } catch (err) {
+    console.error('Notifications read-all error:', err);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+/**
+ * POST /notifications/:id/read
+ * Mark one notification as read.
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const notification = mongoose.isValidObjectId(id)
+      ? await Notification.findOneAndUpdate(
+          { _id: id, userId: req.user._id },
+          { $set: { readAt: new Date() } },
+          { new: true }
+        ).lean()
+      : null;
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(toNotificationJson(notification));
+  } catch (err) {
+    console.error('Notification read error:', err);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+export default router;
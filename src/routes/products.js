@@ -1,17 +1,138 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
-import { Listing } from '../models/Listing.js';
+import { Listing, LISTING_STATUSES } from '../models/Listing.js';
 import { Category } from '../models/Category.js';
-import { requireAuth } from '../middleware/auth.js';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
 import {
-  getEffectivePromotionType,
-  isPromotionActive,
-  normalizePromotionInput,
-} from '../utils/promotion.js';
-import { getPresignedUploadUrls, processProductImages, processProductImagesAppend } from '../lib/r2.js';
+  UPLOAD_CONTENT_TYPES,
+  getPresignedUploadUrls,
+  loadTempImages,
+  processProductImages,
+  processProductImagesAppend,
+} from '../lib/r2.js';
+import { buildSearchHighlights } from '../utils/search.js';
+import { buildListingMatch, resolveFilterCategory } from '../services/listingQueryService.js';
+import { getFiltersByCategory, validateListingAttributes } from '../services/filterService.js';
+import { getListingFacets } from '../services/facetService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { hasPermission } from '../utils/roles.js';
+import { getEffectivePromotionType, isPromotionActive } from '../utils/promotion.js';
+import { getDisplayCurrency, getExchangeRates } from '../services/currencyService.js';
+import { findListingsPage, findListingsSortedByPromotion, toListingJson } from '../services/listingService.js';
+import { isListingPublic, publicListingMatch } from '../services/listingVisibility.js';
+import { getInitialModerationStatus, isTrustedSeller } from '../services/moderationService.js';
+import { computeListingExpiresAt, recomputeListingExpiresAt, renewListing } from '../services/listingExpiryService.js';
+import { applyImageUpdate, planImageUpdate } from '../services/listingImageService.js';
+import { getRestorableUntil, restoreListing, softDeleteListing } from '../services/listingDeletionService.js';
+import { resolveListingLocation } from '../services/locationService.js';
+import { annotateSaved } from '../services/favoriteService.js';
+import { queueSavedSearchAlerts } from '../services/savedSearchService.js';
+import { getUpcomingAvailability } from '../services/rentalService.js';
+import { createReport } from '../services/reportService.js';
+import { REPORT_REASONS } from '../models/Report.js';
+import { getDailyViews, getPeriodViewsByListing, trackListingView } from '../services/viewTrackingService.js';
 
 const router = Router();
 
+const SORT_OPTIONS = ['price_asc', 'price_desc'];
+const MAX_UPLOAD_IMAGES = 20;
+
+/** Listing fields only users with listings:manageAny may change through PUT /products/:id. */
+const ADMIN_ONLY_FIELDS = ['views', 'saves', 'ownerId'];
+
+/** Content checked in moderation: editing any of these sends an untrusted seller's listing back to review. */
+const REVIEWED_FIELDS = [
+  'title',
+  'description',
+  'images',
+  'thumbnail',
+  'specifications',
+  'attributes',
+  'category',
+  'categoryId',
+  'seoTitle',
+  'seoDescription',
+];
+
+/** Set only through promotion orders and grants (/api/promotions), never through listing POST/PUT. */
+const PROMOTION_FIELDS = ['promotionType', 'promotionExpiresAt'];
+
+/**
+ * Loads and checks body.tempImageKeys (the caller's own uploads from /upload/presign) before a listing
+ * is created or changed. error is a response body; invalidImages names each unusable image
+ * ({ index, key, error }) so the client can re-upload only those.
+ * @returns {Promise<{ images: { key: string, buffer: Buffer }[], error?: object }>}
+ */
+async function loadUploadedImages(req, tempImageKeys) {
+  if (tempImageKeys === undefined || tempImageKeys === null) return { images: [] };
+  if (!Array.isArray(tempImageKeys)) {
+    return { images: [], error: { error: 'tempImageKeys must be an array of upload keys' } };
+  }
+  if (tempImageKeys.length > MAX_UPLOAD_IMAGES) {
+    return { images: [], error: { error: `At most ${MAX_UPLOAD_IMAGES} images can be uploaded at once` } };
+  }
+  if (tempImageKeys.length === 0) return { images: [] };
+  const { images, invalidImages } = await loadTempImages(req.user._id.toString(), tempImageKeys);
+  if (invalidImages) {
+    return { images: [], error: { error: 'Some images could not be used', invalidImages } };
+  }
+  return { images };
+}
+
+function isAdmin(user) {
+  return hasPermission(user, 'listings:manageAny');
+}
+
+function isListingOwner(user, listing) {
+  const ownerId = listing.ownerId?._id || listing.ownerId;
+  const userId = user?._id || user?.id;
+  return Boolean(ownerId && userId && ownerId.toString() === userId.toString());
+}
+
+/**
+ * Fields present in body with a value different from the listing's
+ * (so clients echoing the full listing back are not rejected).
+ */
+function changedFields(fields, body, listing) {
+  return fields.filter((field) => {
+    if (body[field] === undefined) return false;
+    const current = listing[field];
+    if (field === 'promotionExpiresAt') {
+      const next = body[field] ? new Date(body[field]).getTime() : null;
+      return next !== (current ? new Date(current).getTime() : null);
+    }
+    return String(body[field] ?? '') !== String(current ?? '');
+  });
+}
+
+// Status changes owners may make through PUT; 'expired' is set by the expiry job and left via POST /:id/renew
+const OWNER_STATUS_TRANSITIONS = { active: ['sold', 'rented'] };
+
+/**
+ * Why a listing's status cannot change from `from` to `to`, or null when it can.
+ * Admins may make any change except into or out of 'expired'.
+ */
+function statusChangeError(from, to, admin) {
+  if (!LISTING_STATUSES.includes(to)) {
+    return `Status must be one of: ${LISTING_STATUSES.join(', ')}`;
+  }
+  if (to === from) return null;
+  if (from === 'expired') return 'Expired listings are reactivated with POST /api/products/:id/renew';
+  if (to === 'expired') return 'Listings expire automatically and cannot be marked expired';
+  if (!admin && !OWNER_STATUS_TRANSITIONS[from]?.includes(to)) {
+    return `A ${from} listing cannot be marked ${to}`;
+  }
+  return null;
+}
+
+const MAX_STATS_DAYS = 365;
+
+/** ?days= for view stats: 1–365, default 30. */
+function parseStatsDays(raw) {
+  const days = parseInt(raw, 10);
+  return Number.isFinite(days) && days > 0 ? Math.min(days, MAX_STATS_DAYS) : 30;
+}
+
 /** Build URL-friendly slug from title (lowercase, hyphens, no leading/trailing/consecutive hyphens). */
 function slugFromTitle(title) {
   if (!title || typeof title !== 'string') return `listing-${Date.now()}`;
@@ -25,175 +146,151 @@ function slugFromTitle(title) {
   return s || `listing-${Date.now()}`;
 }
 
-function toListingJson(doc) {
-  const d = doc.toObject ? doc.toObject() : doc;
-  const ownerId = d.ownerId && typeof d.ownerId === 'object' && d.ownerId._id
-    ? d.ownerId._id.toString()
-    : d.ownerId?.toString();
-  let ownerName;
-  let ownerType;
-  let ownerPhone;
-  if (d.ownerId && typeof d.ownerId === 'object') {
-    ownerType = d.ownerId.userType === 'business' ? 'business' : 'physical';
-    if (d.ownerId.userType === 'business' && d.ownerId.businessName) {
-      ownerName = d.ownerId.businessName.trim();
-    } else {
-      ownerName = [d.ownerId.firstName, d.ownerId.lastName].filter(Boolean).join(' ').trim() || undefined;
-    }
-    ownerPhone = d.ownerId.phone && String(d.ownerId.phone).trim() ? d.ownerId.phone.trim() : undefined;
-  }
-  const effectivePromotionType = getEffectivePromotionType(d);
-  const promotionActive = isPromotionActive(d);
-  return {
-    id: d._id.toString(),
-    _id: d._id.toString(),
-    title: d.title,
-    slug: d.slug,
-    description: d.description,
-    type: d.type,
-
-    category: d.category,
-    categoryId: d.categoryId?.toString(),
-    attributes: d.attributes || [],
-
-    price: d.price,
-    currency: d.currency,
-    priceType: d.priceType,
-    rentPeriod: d.rentPeriod,
-
-    images: d.images || [],
-    thumbnail: d.thumbnail,
-
-    specifications: d.specifications || {},
-    location: d.location,
-
-    ownerId: ownerId || undefined,
-    ownerName: ownerName || undefined,
-    ownerType: ownerType || undefined,
-    ownerPhone: ownerPhone || undefined,
-    status: d.status,
-
-    promotionType: effectivePromotionType,
-    promotionExpiresAt: promotionActive ? d.promotionExpiresAt ?? null : null,
-
-    views: d.views,
-    saves: d.saves,
-
-    seoTitle: d.seoTitle,
-    seoDescription: d.seoDescription,
-
-    createdAt: d.createdAt,
-    updatedAt: d.updatedAt,
-  };
-}
-
-async function findListingsSortedByPromotion({ match, skip = 0, limit = 50, populateOwner = true }) {
-  const now = new Date();
-  const safeLimit = Math.min(Number(limit) || 50, 100);
-  const safeSkip = Math.max(Number(skip) || 0, 0);
-
-  const ids = await Listing.aggregate([
-    { $match: match },
-    {
-      $addFields: {
-        __promotionActive: {
-          $and: [{ $ne: ['$promotionType', 'none'] }, { $gt: ['$promotionExpiresAt', now] }],
-        },
-      },
-    },
-    {
-      $addFields: {
-        __promotionRank: {
-          $switch: {
-            branches: [
-              {
-                case: { $and: ['__$promotionActive', { $eq: ['$promotionType', 'homepageTop'] }] },
-                then: 0,
-              },
-              {
-                case: { $and: ['__$promotionActive', { $eq: ['$promotionType', 'featured'] }] },
-                then: 1,
-              },
-              {
-                case: { $and: ['__$promotionActive', { $eq: ['$promotionType', 'highlighted'] }] },
-                then: 2,
-              },
-            ],
-            default: 3,
-          },
-        },
-      },
-    },
-    { $sort: { __promotionRank: 1, createdAt: -1 } },
-    { $skip: safeSkip },
-    { $limit: safeLimit },
-    { $project: { _id: 1 } },
-  ]);
-
-  const orderedIds = ids.map((x) => x._id);
-  if (orderedIds.length === 0) return [];
-
-  const q = Listing.find({ _id: { $in: orderedIds } });
-  if (populateOwner) q.populate('ownerId', 'firstName lastName businessName userType');
-  const docs = await q.lean();
-  const byId = new Map(docs.map((d) => [d._id.toString(), d]));
-  return orderedIds.map((id) => byId.get(id.toString())).filter(Boolean);
+/**
+ * 400 body for attribute validation: errors keyed by filter slug, plus a readable summary in error.
+ * @param {Record<string, string>} errors
+ */
+function attributeErrorBody(errors) {
+  const summary = Object.entries(errors)
+    .map(([slug, message]) => `${slug}: ${message}`)
+    .join('; ');
+  return { error: `Invalid attributes (${summary})`, errors };
 }
 
 /**
  * GET /products
  * List products (listings). Query: ?status=active&type=sell&categorySlug=...&limit=20&skip=0
+ * Keyword search: ?q=... matches title, description, category name and specifications;
+ * add &highlight=1 to get `highlights` (HTML-escaped snippets with <mark>) on each listing.
+ * Attribute filters keyed by Filter slug (need categoryId or categorySlug):
+ * ?f.brand=bosch&f.brand=makita (select, any of), ?f.power=1000..2500 (range/number; also 1000.., ..2500, 1500),
+ * ?f.has-warranty=true (checkbox), ?f.model=gsb (text, contains). Unknown slugs or bad values → 400.
+ * Price: ?minPrice=&maxPrice= in ?currency= (GEL default, any currency with an exchange rate), compared across
+ * listing currencies; ?sort=price_asc|price_desc. Each listing gets displayPrice converted into currency.
+ * Location: ?regionSlug=&citySlug= (Region/City slugs).
+ * Pagination: ?limit=&skip= returns an array (legacy). ?cursor= (empty for the first page, then nextCursor)
+ * returns { items, nextCursor, total }; nextCursor is null on the last page. total is only sent with the first page.
+ * Each listing has isSaved (whether the signed-in user saved it; false for anonymous requests).
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { status, type, categorySlug, limit = 50, skip = 0 } = req.query;
-    const filter = {};
+    const { limit = 50, skip = 0, highlight, sort, cursor } = req.query;
+    if (cursor !== undefined && typeof cursor !== 'string') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    if (sort !== undefined && !SORT_OPTIONS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` });
+    }
+    const { match: filter, q, currency, error } = await buildListingMatch(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const display = { currency, rates: await getExchangeRates() };
+    const withHighlights = Boolean(q) && (highlight === '1' || highlight === 'true');
+    const toJson = (d) => {
+      const json = toListingJson({ ...d }, display);
+      if (withHighlights) json.highlights = buildSearchHighlights(d, q);
+      return json;
+    };
 
-    if (status) filter.status = status;
-    if (type) filter.type = type;
-    if (categorySlug) {
-      const slug = typeof categorySlug === 'string' ? categorySlug.trim().toLowerCase() : '';
-      if (slug) filter['category.slug'] = slug;
+    if (cursor !== undefined) {
+      const page = await findListingsPage({
+        match: filter,
+        cursor,
+        limit,
+        populateOwner: true,
+        textSearch: Boolean(q),
+        sort,
+      });
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+      const items = await annotateSaved(page.items.map(toJson), req.user);
+      return res.json({ items, nextCursor: page.nextCursor, total: page.total });
     }
 
-    const list = await findListingsSortedByPromotion({ match: filter, skip, limit, populateOwner: true });
-    res.json(list.map((d) => toListingJson({ ...d })));
+    const list = await findListingsSortedByPromotion({
+      match: filter,
+      skip,
+      limit,
+      populateOwner: true,
+      textSearch: Boolean(q),
+      sort,
+    });
+    res.json(await annotateSaved(list.map(toJson), req.user));
   } catch (err) {
     console.error('Products list error:', err);
     res.status(500).json({ error: 'Failed to list products' });
   }
 });
 
+/**
+ * GET /products/facets
+ * Facet counts for the category sidebar. Takes the same query as GET /products (limit/skip ignored).
+ * Filter facets need categoryId or categorySlug; without a category only types/regions/cities are returned.
+ * Returns { total, filters: [...], types: [{ value, count }], regions: [{ id, slug, label, count }],
+ * cities: [{ id, slug, label, regionId, count }] }.
+ * Must be before /:id so "facets" is not treated as id.
+ */
+router.get('/facets', async (req, res) => {
+  try {
+    const { match, attributeConditions, error } = await buildListingMatch(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { category, error: categoryError } = await resolveFilterCategory(req.query);
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
+    }
+    const filters = category ? (await getFiltersByCategory(category._id)) || [] : [];
+
+    const facets = await getListingFacets({ match, attributeConditions, filters });
+    res.json(facets);
+  } catch (err) {
+    console.error('Product facets error:', err);
+    res.status(500).json({ error: 'Failed to get product facets' });
+  }
+});
+
 /**
  * GET /products/slug/:slug
  * Get one product (listing) by URL slug (active only). Optionally filter by ?type=sell|rent.
  * Finds by slug + status first; if type is provided and no match, tries without type so
  * the same slug can be resolved and the frontend can redirect to the correct section.
+ * Counts a view and sets isSaved and availability (see GET /products/:id).
  * Must be before /:id so "slug" is not treated as id.
  */
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
   try {
     const rawSlug = req.params.slug;
     const slug = typeof rawSlug === 'string' ? rawSlug.trim().toLowerCase() : '';
     if (!slug) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
     const { type } = req.query;
-    let filter = { slug, status: 'active' };
+    let filter = { slug, status: 'active', ...publicListingMatch() };
     if (type === 'sell' || type === 'rent') filter.type = type;
-    let listing = await Listing.findOne(filter).populate('ownerId', 'firstName lastName businessName userType phone').lean();
+    let listing = await Listing.findOne(filter).populate('ownerId', 'firstName lastName businessName userType rating').lean();
     if (!listing && (type === 'sell' || type === 'rent')) {
-      listing = await Listing.findOne({ slug, status: 'active' }).populate('ownerId', 'firstName lastName businessName userType phone').lean();
+      listing = await Listing.findOne({ slug, status: 'active', ...publicListingMatch() }).populate('ownerId', 'firstName lastName businessName userType rating').lean();
     }
     if (!listing) {
       return res.status(404).json({ error: 'Product not found' });
     }
-    const json = toListingJson(listing);
+    const json = toListingJson(listing, display);
     const ownerId = listing.ownerId?._id || listing.ownerId;
     if (ownerId) {
-      const ownerProductCount = await Listing.countDocuments({ ownerId, status: 'active' });
+      const ownerProductCount = await Listing.countDocuments({ ownerId, status: 'active', ...publicListingMatch() });
       json.ownerProductCount = ownerProductCount;
     }
+    await annotateSaved([json], req.user);
+    json.availability = await getUpcomingAvailability(listing);
+    trackListingView(listing, req);
     res.json(json);
   } catch (err) {
     console.error('Product get by slug error:', err);
@@ -208,18 +305,78 @@ router.get('/slug/:slug', async (req, res) => {
 router.get('/mine', requireAuth, async (req, res) => {
   try {
     const ownerId = req.user._id || new mongoose.Types.ObjectId(req.user.id);
-    const list = await findListingsSortedByPromotion({ match: { ownerId }, skip: 0, limit: 500, populateOwner: true });
-    res.json(list.map((d) => toListingJson({ ...d })));
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const list = await findListingsSortedByPromotion({ match: { ownerId, deletedAt: null }, skip: 0, limit: 500, populateOwner: true });
+    res.json(list.map((d) => toListingJson({ ...d }, display)));
   } catch (err) {
     console.error('My products list error:', err);
     res.status(500).json({ error: 'Failed to list your products' });
   }
 });
 
+/**
+ * GET /products/mine/deleted
+ * The current user's deleted listings that can still be restored, most recently deleted first.
+ * Each item has restorableUntil; after that the listing and its images are purged.
+ */
+router.get('/mine/deleted', requireAuth, async (req, res) => {
+  try {
+    const ownerId = req.user._id || new mongoose.Types.ObjectId(req.user.id);
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const list = await Listing.find({ ownerId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .limit(500)
+      .populate('ownerId', 'firstName lastName businessName userType rating')
+      .lean();
+    res.json(list.map((d) => ({ ...toListingJson(d, display), restorableUntil: getRestorableUntil(d) })));
+  } catch (err) {
+    console.error('My deleted products list error:', err);
+    res.status(500).json({ error: 'Failed to list your deleted products' });
+  }
+});
+
+/**
+ * GET /products/mine/stats
+ * View history across the current user's listings. Query: ?days=30 (max 365).
+ * Returns { totalViews, days: [{ date, views }], listings: [{ id, title, slug, views, periodViews }] }.
+ */
+router.get('/mine/stats', requireAuth, async (req, res) => {
+  try {
+    const ownerId = req.user._id || new mongoose.Types.ObjectId(req.user.id);
+    const days = parseStatsDays(req.query.days);
+    const [daily, periodViews, listings] = await Promise.all([
+      getDailyViews({ ownerId }, days),
+      getPeriodViewsByListing(ownerId, days),
+      Listing.find({ ownerId, deletedAt: null }, { title: 1, slug: 1, views: 1 }).sort({ createdAt: -1 }).lean(),
+    ]);
+    res.json({
+      totalViews: listings.reduce((sum, l) => sum + (l.views || 0), 0),
+      days: daily,
+      listings: listings.map((l) => ({
+        id: l._id.toString(),
+        title: l.title,
+        slug: l.slug,
+        views: l.views || 0,
+        periodViews: periodViews.get(l._id.toString()) || 0,
+      })),
+    });
+  } catch (err) {
+    console.error('My products stats error:', err);
+    res.status(500).json({ error: 'Failed to load view stats' });
+  }
+});
+
 /**
  * POST /products/upload/presign
  * Get presigned PUT URLs for uploading product images to R2 temp folder.
- * Query or body: count (1–20). Returns { uploads: [{ key, uploadUrl }] }.
+ * Body or query: contentTypes (one per file: image/jpeg, image/png, image/webp or image/avif), or count (1–20)
+ * for that many JPEG uploads. Returns { uploads: [{ key, uploadUrl, contentType }] }; each PUT must send its contentType.
  */
 router.post('/upload/presign', requireAuth, async (req, res) => {
   try {
@@ -227,11 +384,24 @@ router.post('/upload/presign', requireAuth, async (req, res) => {
     if (!userId) {
       return res.status(401).json({ error: 'User id required' });
     }
-    const count = Math.min(
-      Math.max(1, parseInt(req.query.count || req.body?.count, 10) || 1),
-      20
-    );
-    const uploads = await getPresignedUploadUrls(userId, count);
+    const rawTypes = req.body?.contentTypes ?? req.query.contentTypes;
+    let contentTypes;
+    if (rawTypes !== undefined) {
+      contentTypes = Array.isArray(rawTypes) ? rawTypes : [rawTypes];
+      if (contentTypes.length === 0 || contentTypes.length > MAX_UPLOAD_IMAGES) {
+        return res.status(400).json({ error: `contentTypes must list 1–${MAX_UPLOAD_IMAGES} files` });
+      }
+      if (contentTypes.some((t) => !UPLOAD_CONTENT_TYPES.includes(t))) {
+        return res.status(400).json({ error: `contentTypes must each be one of: ${UPLOAD_CONTENT_TYPES.join(', ')}` });
+      }
+    } else {
+      const count = Math.min(
+        Math.max(1, parseInt(req.query.count || req.body?.count, 10) || 1),
+        MAX_UPLOAD_IMAGES
+      );
+      contentTypes = Array(count).fill('image/jpeg');
+    }
+    const uploads = await getPresignedUploadUrls(userId, contentTypes);
     res.json({ uploads });
   } catch (err) {
     console.error('Presign upload error:', err);
@@ -241,21 +411,35 @@ router.post('/upload/presign', requireAuth, async (req, res) => {
 
 /**
  * GET /products/:id
- * Get one product by id
+ * Get one product by id. Listings pending review or rejected are visible only to their owner and moderators.
+ * Counts a view of public listings, except the owner's own and repeats by the same viewer within
+ * config.views.dedupeWindowMinutes (viewer: user, X-Client-Id header, or IP + user agent).
+ * isSaved tells whether the signed-in user saved the listing. Rent listings include availability:
+ * { rentPeriod, from, to, unavailable: [{ start, end }] } for the next 90 days.
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const listing = await Listing.findById(id).populate('ownerId', 'firstName lastName businessName userType phone').lean();
-    if (!listing) {
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const listing = await Listing.findById(id).populate('ownerId', 'firstName lastName businessName userType rating').lean();
+    if (!listing || listing.deletedAt) {
       return res.status(404).json({ error: 'Product not found' });
     }
-    const json = toListingJson(listing);
+    if (!isListingPublic(listing) && !isListingOwner(req.user, listing) && !hasPermission(req.user, 'listings:moderate')) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const json = toListingJson(listing, display);
     const ownerId = listing.ownerId?._id || listing.ownerId;
     if (ownerId) {
-      const ownerProductCount = await Listing.countDocuments({ ownerId, status: 'active' });
+      const ownerProductCount = await Listing.countDocuments({ ownerId, status: 'active', ...publicListingMatch() });
       json.ownerProductCount = ownerProductCount;
     }
+    await annotateSaved([json], req.user);
+    json.availability = await getUpcomingAvailability(listing);
+    if (isListingPublic(listing)) trackListingView(listing, req);
     res.json(json);
   } catch (err) {
     console.error('Product get error:', err);
@@ -266,6 +450,9 @@ router.get('/:id', async (req, res) => {
 /**
  * POST /products
  * Create a product (listing). Body: ListingCreatePayload. ownerId set from auth.
+ * status is always 'active'; listings from untrusted sellers start with moderationStatus 'pending'.
+ * location: { regionId, cityId } (region/city slugs or labels also accepted); the city must belong to the region.
+ * tempImageKeys: the caller's uploads; unusable images fail with 400 { error, invalidImages: [{ index, key, error }] }.
  */
 router.post('/', requireAuth, async (req, res) => {
   try {
@@ -274,6 +461,10 @@ router.post('/', requireAuth, async (req, res) => {
     if (!ownerId) {
       return res.status(401).json({ error: 'Owner is required' });
     }
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
 
     const title = typeof body.title === 'string' ? body.title.trim() : '';
     if (!title) {
@@ -312,6 +503,9 @@ router.post('/', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Category with name and slug is required' });
     }
 
+    if (body.categoryId && !mongoose.isValidObjectId(body.categoryId)) {
+      return res.status(400).json({ error: 'Category not found' });
+    }
     let categoryId = body.categoryId ? new mongoose.Types.ObjectId(body.categoryId) : null;
     if (categoryId) {
       const cat = await Category.findById(categoryId).lean();
@@ -332,33 +526,31 @@ router.post('/', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Rent period is required for rent listings' });
     }
 
-    const location = body.location && typeof body.location === 'object' ? body.location : null;
-    if (!location || !location.region || !location.city) {
-      return res.status(400).json({ error: 'Location with region and city is required' });
+    const { location, error: locationError } = await resolveListingLocation(body.location);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
     }
 
-    const attributes = Array.isArray(body.attributes)
-      ? body.attributes
-          .filter((a) => a && a.filterId && a.value !== undefined && a.value !== null)
-          .map((a) => ({
-            filterId: new mongoose.Types.ObjectId(a.filterId),
-            value: a.value,
-          }))
-      : [];
+    const { attributes, errors: attributeErrors } = await validateListingAttributes(categoryId, body.attributes);
+    if (attributeErrors) {
+      return res.status(400).json(attributeErrorBody(attributeErrors));
+    }
 
     const images = Array.isArray(body.images) ? body.images.filter((u) => typeof u === 'string' && u.trim()) : [];
     const thumbnail = typeof body.thumbnail === 'string' && body.thumbnail.trim() ? body.thumbnail.trim() : images[0] || '';
-    const tempImageKeys = Array.isArray(body.tempImageKeys)
-      ? body.tempImageKeys.filter((k) => typeof k === 'string' && k.startsWith('temp/products/'))
-      : [];
+    const { images: tempImages, error: tempImagesError } = await loadUploadedImages(req, body.tempImageKeys);
+    if (tempImagesError) {
+      return res.status(400).json(tempImagesError);
+    }
 
     const specifications = body.specifications && typeof body.specifications === 'object' ? body.specifications : {};
-    const status = body.status || 'active';
+    // Sale state always starts active; publication is decided by moderation
+    const status = 'active';
+    const moderationStatus = await getInitialModerationStatus(req.user);
+    const expiresAt = await computeListingExpiresAt({ type, categoryId });
     const seoTitle = typeof body.seoTitle === 'string' ? body.seoTitle.trim() : undefined;
     const seoDescription = typeof body.seoDescription === 'string' ? body.seoDescription.trim() : undefined;
 
-    const { promotionType, promotionExpiresAt } = normalizePromotionInput(body);
-
     const listing = await Listing.create({
       title,
       slug,
@@ -374,20 +566,21 @@ router.post('/', requireAuth, async (req, res) => {
       images: images.length > 0 ? images : [],
       thumbnail: thumbnail || (images[0] || undefined),
       specifications,
-      location: { region: location.region.trim(), city: location.city.trim() },
+      location,
       ownerId,
       status,
+      moderationStatus,
+      expiresAt,
       seoTitle: seoTitle || undefined,
       seoDescription: seoDescription || undefined,
-      promotionType,
-      promotionExpiresAt,
     });
 
-    if (tempImageKeys.length > 0) {
+    if (tempImages.length > 0) {
       try {
         const productId = listing._id.toString();
-        const { thumbnailUrl, imageUrls } = await processProductImages(productId, tempImageKeys);
+        const { thumbnailUrl, imageUrls, imageMeta } = await processProductImages(productId, tempImages);
         listing.images = imageUrls;
+        listing.imageMeta = imageMeta;
         listing.thumbnail = thumbnailUrl || imageUrls[0] || listing.thumbnail;
         await listing.save();
       } catch (imgErr) {
@@ -399,7 +592,8 @@ router.post('/', requireAuth, async (req, res) => {
       }
     }
 
-    res.status(201).json(toListingJson(listing));
+    if (isListingPublic(listing)) queueSavedSearchAlerts(listing);
+    res.status(201).json(toListingJson(listing, display));
   } catch (err) {
     if (err.name === 'ValidationError') {
       const msg = Object.values(err.errors)
@@ -418,16 +612,47 @@ router.post('/', requireAuth, async (req, res) => {
 /**
  * PUT /products/:id
  * Update a product. Body: partial ListingCreatePayload.
+ * Owner or admin only; admin edits of others' listings are audited. Only admins may change
+ * views, saves and ownerId. Promotions cannot be changed here: use /api/promotions.
+ * Owners may only change status from active to sold or rented; expired listings are renewed with POST /:id/renew.
+ * Content edits (REVIEWED_FIELDS) by sellers who are not trusted put an approved listing back in the review queue.
  */
 router.put('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const body = req.body;
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
 
     const listing = await Listing.findById(id);
-    if (!listing) {
+    if (!listing || listing.deletedAt) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    const isOwner = isListingOwner(req.user, listing);
+    if (!isOwner && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You can only edit your own listings' });
+    }
+    // Compare with the promotion as responses show it, so echoing an expired-but-not-yet-reset promotion passes
+    const shownPromotion = {
+      promotionType: getEffectivePromotionType(listing),
+      promotionExpiresAt: isPromotionActive(listing) ? listing.promotionExpiresAt : null,
+    };
+    const promotionChanges = changedFields(PROMOTION_FIELDS, body, shownPromotion);
+    if (promotionChanges.length > 0) {
+      return res.status(400).json({ error: 'Promotions are managed through promotion orders (/api/promotions)' });
+    }
+    if (!isAdmin(req.user)) {
+      const forbidden = changedFields(ADMIN_ONLY_FIELDS, body, listing);
+      if (forbidden.length > 0) {
+        return res.status(403).json({ error: `You cannot change: ${forbidden.join(', ')}` });
+      }
+    }
+    if (body.status !== undefined) {
+      const statusError = statusChangeError(listing.status, body.status, isAdmin(req.user));
+      if (statusError) return res.status(400).json({ error: statusError });
+    }
 
     if (body.title !== undefined) {
       const title = typeof body.title === 'string' ? body.title.trim() : '';
@@ -469,18 +694,31 @@ router.put('/:id', requireAuth, async (req, res) => {
       listing.category = { name: body.category.name, slug: body.category.slug };
     }
     if (body.categoryId !== undefined) {
-      listing.categoryId = body.categoryId ? new mongoose.Types.ObjectId(body.categoryId) : undefined;
+      if (body.categoryId) {
+        const cat = mongoose.isValidObjectId(body.categoryId) ? await Category.findById(body.categoryId).lean() : null;
+        if (!cat) {
+          return res.status(400).json({ error: 'Category not found' });
+        }
+        listing.categoryId = cat._id;
+      } else {
+        listing.categoryId = undefined;
+      }
     }
 
-    if (body.attributes !== undefined) {
-      listing.attributes = Array.isArray(body.attributes)
+    // Re-check attributes when they or the category change (existing values must fit the new category)
+    if (body.attributes !== undefined || listing.isModified('categoryId')) {
+      const input = body.attributes !== undefined
         ? body.attributes
-            .filter((a) => a && a.filterId && a.value !== undefined && a.value !== null)
-            .map((a) => ({
-              filterId: new mongoose.Types.ObjectId(a.filterId),
-              value: a.value,
-            }))
-        : [];
+        : (listing.attributes || []).map((a) => ({ filterId: a.filterId, value: a.value }));
+      const { attributes, errors: attributeErrors } = await validateListingAttributes(listing.categoryId, input);
+      if (attributeErrors) {
+        return res.status(400).json(attributeErrorBody(attributeErrors));
+      }
+      listing.attributes = attributes;
+    }
+    // Lifetime depends on type and category
+    if (listing.isModified('type') || listing.isModified('categoryId')) {
+      await recomputeListingExpiresAt(listing);
     }
 
     if (body.price !== undefined) {
@@ -490,8 +728,12 @@ router.put('/:id', requireAuth, async (req, res) => {
     if (body.currency !== undefined) listing.currency = body.currency === 'USD' ? 'USD' : 'GEL';
     if (body.priceType !== undefined) listing.priceType = body.priceType === 'negotiable' ? 'negotiable' : 'fixed';
 
-    if (body.location !== undefined && body.location?.region && body.location?.city) {
-      listing.location = { region: body.location.region.trim(), city: body.location.city.trim() };
+    if (body.location !== undefined) {
+      const { location, error: locationError } = await resolveListingLocation(body.location);
+      if (locationError) {
+        return res.status(400).json({ error: locationError });
+      }
+      listing.location = location;
     }
 
     if (body.images !== undefined) {
@@ -501,15 +743,16 @@ router.put('/:id', requireAuth, async (req, res) => {
       listing.thumbnail = typeof body.thumbnail === 'string' && body.thumbnail.trim() ? body.thumbnail.trim() : listing.images?.[0];
     }
 
-    const tempImageKeys = Array.isArray(body.tempImageKeys)
-      ? body.tempImageKeys.filter((k) => typeof k === 'string' && k.startsWith('temp/products/'))
-      : [];
-    if (tempImageKeys.length > 0) {
+    const { images: tempImages, error: tempImagesError } = await loadUploadedImages(req, body.tempImageKeys);
+    if (tempImagesError) {
+      return res.status(400).json(tempImagesError);
+    }
+    if (tempImages.length > 0) {
       try {
         const existingImages = listing.images && listing.images.length > 0 ? listing.images : [];
-        const existingCount = Array.isArray(body.images) ? body.images.length : existingImages.length;
-        const newUrls = await processProductImagesAppend(id, tempImageKeys, existingCount);
+        const { imageUrls: newUrls, imageMeta } = await processProductImagesAppend(id, tempImages);
         listing.images = [...(Array.isArray(body.images) ? body.images.filter((u) => typeof u === 'string' && u.trim()) : existingImages), ...newUrls];
+        listing.imageMeta = [...(listing.imageMeta || []), ...imageMeta];
         if (!listing.thumbnail && listing.images.length > 0) {
           listing.thumbnail = listing.images[0];
         }
@@ -526,18 +769,37 @@ router.put('/:id', requireAuth, async (req, res) => {
     if (body.seoTitle !== undefined) listing.seoTitle = typeof body.seoTitle === 'string' ? body.seoTitle.trim() : undefined;
     if (body.seoDescription !== undefined) listing.seoDescription = typeof body.seoDescription === 'string' ? body.seoDescription.trim() : undefined;
 
-    if (body.promotionType !== undefined || body.promotionExpiresAt !== undefined) {
-      const normalized = normalizePromotionInput({
-        promotionType: body.promotionType ?? listing.promotionType,
-        promotionExpiresAt: body.promotionExpiresAt ?? listing.promotionExpiresAt,
-      });
-      listing.promotionType = normalized.promotionType;
-      listing.promotionExpiresAt = normalized.promotionExpiresAt;
+    // An owner editing a rejected listing resubmits it for review
+    if (isOwner && listing.moderationStatus === 'rejected' && listing.isModified()) {
+      listing.moderationStatus = 'pending';
+      listing.moderationReason = '';
+    }
+    // Approved content changed by a seller who would not publish without review is reviewed again
+    if (
+      isOwner &&
+      listing.moderationStatus !== 'pending' &&
+      REVIEWED_FIELDS.some((field) => listing.isModified(field)) &&
+      !(await isTrustedSeller(req.user))
+    ) {
+      listing.moderationStatus = 'pending';
+      listing.moderationReason = '';
     }
 
+    const modifiedPaths = listing.modifiedPaths({ includeChildren: false });
     await listing.save();
 
-    res.json(toListingJson(listing));
+    if (!isOwner) {
+      await recordAuditEvent({
+        actor: req.user,
+        action: 'listing.update',
+        targetType: 'Listing',
+        targetId: listing._id,
+        ownerId: listing.ownerId,
+        details: { fields: modifiedPaths },
+      });
+    }
+
+    res.json(toListingJson(listing, display));
   } catch (err) {
     if (err.name === 'ValidationError') {
       const msg = Object.values(err.errors)
@@ -553,20 +815,237 @@ router.put('/:id', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /products/:id/stats
+ * View history of one listing (owner, or listings:manageAny). Query: ?days=30 (max 365).
+ * Returns { listingId, totalViews, days: [{ date, views }] } with UTC dates, oldest first.
+ */
+router.get('/:id/stats', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const listing = mongoose.isValidObjectId(id) ? await Listing.findById(id, { ownerId: 1, views: 1, deletedAt: 1 }).lean() : null;
+    if (!listing || listing.deletedAt) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!isListingOwner(req.user, listing) && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You can only view stats of your own listings' });
+    }
+    const days = await getDailyViews({ listingId: listing._id }, parseStatsDays(req.query.days));
+    res.json({ listingId: listing._id.toString(), totalViews: listing.views || 0, days });
+  } catch (err) {
+    console.error('Product stats error:', err);
+    res.status(500).json({ error: 'Failed to load view stats' });
+  }
+});
+
+/**
+ * POST /products/:id/renew
+ * Extend an active or expired listing by its full lifetime from now (owner, or listings:manageAny).
+ */
+router.post('/:id/renew', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const listing = mongoose.isValidObjectId(id) ? await Listing.findById(id) : null;
+    if (!listing || listing.deletedAt) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const isOwner = isListingOwner(req.user, listing);
+    if (!isOwner && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You can only renew your own listings' });
+    }
+
+    const { error } = await renewListing(listing);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    if (!isOwner) {
+      await recordAuditEvent({
+        actor: req.user,
+        action: 'listing.renew',
+        targetType: 'Listing',
+        targetId: listing._id,
+        ownerId: listing.ownerId,
+        details: { expiresAt: listing.expiresAt },
+      });
+    }
+    res.json(toListingJson(listing, display));
+  } catch (err) {
+    console.error('Product renew error:', err);
+    res.status(500).json({ error: 'Failed to renew product' });
+  }
+});
+
+/**
+ * PUT /products/:id/images
+ * Reorder and remove a listing's images and choose the cover (owner, or listings:manageAny).
+ * Body: { order?: url[], remove?: url[], cover?: url }. order lists every kept image in the new order;
+ * cover is moved to the front and thumbnail.jpg is rebuilt from it. Removed images are deleted from storage.
+ * New images are added through PUT /products/:id with tempImageKeys.
+ */
+router.put('/:id/images', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const listing = mongoose.isValidObjectId(id) ? await Listing.findById(id) : null;
+    if (!listing || listing.deletedAt) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const isOwner = isListingOwner(req.user, listing);
+    if (!isOwner && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You can only edit your own listings' });
+    }
+    const plan = planImageUpdate(listing.images || [], req.body);
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error });
+    }
+
+    await applyImageUpdate(listing, plan);
+    if (!isOwner) {
+      await recordAuditEvent({
+        actor: req.user,
+        action: 'listing.images',
+        targetType: 'Listing',
+        targetId: listing._id,
+        ownerId: listing.ownerId,
+        details: { removed: plan.removed, cover: plan.images[0] || null },
+      });
+    }
+    const populated = await Listing.findById(listing._id)
+      .populate('ownerId', 'firstName lastName businessName userType rating')
+      .lean();
+    res.json(toListingJson(populated, display));
+  } catch (err) {
+    console.error('Product images update error:', err);
+    res.status(500).json({ error: 'Failed to update images' });
+  }
+});
+
+/**
+ * POST /products/:id/report
+ * Report a published listing to moderators. Body: { reason, comment? }; reason is one of
+ * scam, prohibited, miscategorized, duplicate, offensive, other (comment required for other).
+ * One open report per user and listing (409); config.reports.maxPerUserPerDay per user (429).
+ * Returns { id, reason, status, createdAt }.
+ */
+router.post('/:id/report', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body?.reason;
+    const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim() : '';
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    if (reason === 'other' && !comment) {
+      return res.status(400).json({ error: 'Please describe the problem in comment' });
+    }
+    if (comment.length > 1000) {
+      return res.status(400).json({ error: 'Comment cannot exceed 1000 characters' });
+    }
+    const listing = mongoose.isValidObjectId(id)
+      ? await Listing.findById(id, { ownerId: 1, title: 1, moderationStatus: 1, hiddenAt: 1, deletedAt: 1 }).lean()
+      : null;
+    if (!listing || !isListingPublic(listing)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const { report, error, status } = await createReport(listing, req.user, { reason, comment });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).json({ id: report._id.toString(), reason: report.reason, status: report.status, createdAt: report.createdAt });
+  } catch (err) {
+    console.error('Product report error:', err);
+    res.status(500).json({ error: 'Failed to report product' });
+  }
+});
+
+/**
+ * POST /products/:id/restore
+ * Restore a deleted listing before it is purged (config.deletedListings.graceDays after deletion).
+ * Owners can restore listings they deleted themselves; listings:manageAny can restore any.
+ */
+router.post('/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const display = await getDisplayCurrency(req);
+    if (display.error) {
+      return res.status(400).json({ error: display.error });
+    }
+    const listing = mongoose.isValidObjectId(id) ? await Listing.findById(id).lean() : null;
+    if (!listing || !listing.deletedAt) {
+      return res.status(404).json({ error: 'Deleted product not found' });
+    }
+    const isOwner = isListingOwner(req.user, listing);
+    if (!isAdmin(req.user)) {
+      if (!isOwner) {
+        return res.status(403).json({ error: 'You can only restore your own listings' });
+      }
+      if (listing.deletedBy && listing.deletedBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: 'This listing was removed by an administrator' });
+      }
+    }
+
+    const { listing: restored, error } = await restoreListing(listing);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    if (!isOwner) {
+      await recordAuditEvent({
+        actor: req.user,
+        action: 'listing.restore',
+        targetType: 'Listing',
+        targetId: listing._id,
+        ownerId: listing.ownerId,
+        details: { deletedAt: listing.deletedAt },
+      });
+    }
+    const populated = await Listing.findById(restored._id)
+      .populate('ownerId', 'firstName lastName businessName userType rating')
+      .lean();
+    res.json(toListingJson(populated, display));
+  } catch (err) {
+    console.error('Product restore error:', err);
+    res.status(500).json({ error: 'Failed to restore product' });
+  }
+});
+
 /**
  * DELETE /products/:id
- * Delete a product
+ * Delete a product (owner, or admin — admin deletes of others' listings are audited).
+ * The listing is hidden at once and can be restored for config.deletedListings.graceDays; the purge job
+ * then removes it and its images.
  */
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const listing = await Listing.findById(id);
-    if (!listing) {
+    const listing = mongoose.isValidObjectId(id) ? await Listing.findById(id) : null;
+    if (!listing || listing.deletedAt) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    const isOwner = isListingOwner(req.user, listing);
+    if (!isOwner && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You can only delete your own listings' });
+    }
+
+    await softDeleteListing(listing, req.user);
 
-    await Listing.deleteOne({ _id: id });
+    if (!isOwner) {
+      await recordAuditEvent({
+        actor: req.user,
+        action: 'listing.delete',
+        targetType: 'Listing',
+        targetId: listing._id,
+        ownerId: listing.ownerId,
+        details: { title: listing.title, slug: listing.slug, status: listing.status },
+      });
+    }
 
     res.status(204).send();
   } catch (err) {
@@ -0,0 +1,323 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { Listing } from '../models/Listing.js';
+import { PromotionOrder } from '../models/PromotionOrder.js';
+import { PromotionPackage } from '../models/PromotionPackage.js';
+import { optionalAuth, requireAuth, requirePermission } from '../middleware/auth.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import {
+  confirmPromotionOrder,
+  createPromotionOrder,
+  grantPromotion,
+  toOrderJson,
+  toPackageJson,
+} from '../services/promotionService.js';
+import { PROMOTION_TYPES } from '../utils/promotion.js';
+import { hasPermission } from '../utils/roles.js';
+
+const router = Router();
+
+const PACKAGE_FIELDS = ['code', 'name', 'promotionType', 'durationDays', 'price', 'currency', 'isActive', 'order'];
+const ORDER_STATUSES = ['pending', 'cancelled', 'active', 'completed', 'superseded'];
+
+function canManage(user) {
+  return hasPermission(user, 'promotions:manage');
+}
+
+function validationMessage(err) {
+  return Object.values(err.errors)
+    .map((e) => e.message)
+    .join(' ');
+}
+
+async function findById(Model, id) {
+  return mongoose.isValidObjectId(id) ? Model.findById(id) : null;
+}
+
+/**
+ * GET /promotions/packages
+ * Active packages, cheapest tier first. Staff with promotions:manage may pass ?all=1 to include inactive ones.
+ */
+router.get('/packages', optionalAuth, async (req, res) => {
+  try {
+    const includeInactive = req.query.all === '1' && canManage(req.user);
+    const filter = includeInactive ? {} : { isActive: true };
+    const packages = await PromotionPackage.find(filter).sort({ order: 1, price: 1 }).lean();
+    res.json(packages.map(toPackageJson));
+  } catch (err) {
+    console.error('Promotion packages list error:', err);
+    res.status(500).json({ error: 'Failed to list promotion packages' });
+  }
+});
+
+/**
+ * POST /promotions/packages
+ * Create a package (requires promotions:manage). Body: { code, name, promotionType, durationDays, price, currency?, isActive?, order? }.
+ */
+router.post('/packages', requireAuth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const data = {};
+    for (const field of PACKAGE_FIELDS) {
+      if (req.body?.[field] !== undefined) data[field] = req.body[field];
+    }
+    const pkg = await PromotionPackage.create(data);
+    res.status(201).json(toPackageJson(pkg));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: validationMessage(err) });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A package with this code already exists' });
+    }
+    console.error('Promotion package create error:', err);
+    res.status(500).json({ error: 'Failed to create promotion package' });
+  }
+});
+
+/**
+ * PUT /promotions/packages/:id
+ * Update a package (requires promotions:manage). Existing orders keep the terms they were bought with.
+ */
+router.put('/packages/:id', requireAuth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const pkg = await findById(PromotionPackage, req.params.id);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Promotion package not found' });
+    }
+    for (const field of PACKAGE_FIELDS) {
+      if (req.body?.[field] !== undefined) pkg[field] = req.body[field];
+    }
+    await pkg.save();
+    res.json(toPackageJson(pkg));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: validationMessage(err) });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A package with this code already exists' });
+    }
+    console.error('Promotion package update error:', err);
+    res.status(500).json({ error: 'Failed to update promotion package' });
+  }
+});
+
+/**
+ * DELETE /promotions/packages/:id
+ * Delete a package (requires promotions:manage). Packages with orders are deactivated instead, keeping order references valid.
+ */
+router.delete('/packages/:id', requireAuth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const pkg = await findById(PromotionPackage, req.params.id);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Promotion package not found' });
+    }
+    const hasOrders = await PromotionOrder.exists({ packageId: pkg._id });
+    if (hasOrders) {
+      pkg.isActive = false;
+      await pkg.save();
+      return res.json(toPackageJson(pkg));
+    }
+    await pkg.deleteOne();
+    res.status(204).send();
+  } catch (err) {
+    console.error('Promotion package delete error:', err);
+    res.status(500).json({ error: 'Failed to delete promotion package' });
+  }
+});
+
+/**
+ * POST /promotions/orders
+ * Order a package for one of your listings. Body: { listingId, packageId }.
+ * Paid packages stay pending until payment is confirmed; free packages apply immediately.
+ */
+router.post('/orders', requireAuth, async (req, res) => {
+  try {
+    const { listingId, packageId } = req.body || {};
+    const listing = await findById(Listing, listingId);
+    if (!listing) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (listing.ownerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only promote your own listings' });
+    }
+    const pkg = await findById(PromotionPackage, packageId);
+    if (!pkg || !pkg.isActive) {
+      return res.status(404).json({ error: 'Promotion package not found' });
+    }
+
+    const { order, error } = await createPromotionOrder({ listing, user: req.user, pkg });
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.status(201).json(toOrderJson(order));
+  } catch (err) {
+    console.error('Promotion order create error:', err);
+    res.status(500).json({ error: 'Failed to create promotion order' });
+  }
+});
+
+/**
+ * GET /promotions/orders/mine
+ * Current user's promotion orders, newest first.
+ */
+router.get('/orders/mine', requireAuth, async (req, res) => {
+  try {
+    const orders = await PromotionOrder.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    res.json(orders.map(toOrderJson));
+  } catch (err) {
+    console.error('Promotion orders mine error:', err);
+    res.status(500).json({ error: 'Failed to list promotion orders' });
+  }
+});
+
+/**
+ * GET /promotions/orders
+ * All orders (requires promotions:manage). Query: ?status=pending|..., ?limit=50&skip=0. Returns { items, total }.
+ */
+router.get('/orders', requireAuth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const filter = ORDER_STATUSES.includes(req.query.status) ? { status: req.query.status } : {};
+    const [orders, total] = await Promise.all([
+      PromotionOrder.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      PromotionOrder.countDocuments(filter),
+    ]);
+    res.json({ items: orders.map(toOrderJson), total });
+  } catch (err) {
+    console.error('Promotion orders list error:', err);
+    res.status(500).json({ error: 'Failed to list promotion orders' });
+  }
+});
+
+/**
+ * POST /promotions/orders/:id/confirm
+ * Confirm payment for a pending order and apply it (requires promotions:manage).
+ */
+router.post('/orders/:id/confirm', requireAuth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const order = await findById(PromotionOrder, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Promotion order not found' });
+    }
+    const { order: confirmed, error } = await confirmPromotionOrder(order, req.user);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    await recordAuditEvent({
+      actor: req.user,
+      action: 'promotion.confirm',
+      targetType: 'PromotionOrder',
+      targetId: confirmed._id,
+      ownerId: confirmed.userId,
+      details: { listingId: confirmed.listingId, promotionType: confirmed.promotionType, endsAt: confirmed.endsAt },
+    });
+    res.json(toOrderJson(confirmed));
+  } catch (err) {
+    console.error('Promotion order confirm error:', err);
+    res.status(500).json({ error: 'Failed to confirm promotion order' });
+  }
+});
+
+/**
+ * POST /promotions/orders/:id/cancel
+ * Cancel a pending order (its buyer, or promotions:manage).
+ */
+router.post('/orders/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const order = await findById(PromotionOrder, req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Promotion order not found' });
+    }
+    if (order.userId.toString() !== req.user._id.toString() && !canManage(req.user)) {
+      return res.status(403).json({ error: 'You can only cancel your own orders' });
+    }
+    const cancelled = await PromotionOrder.findOneAndUpdate(
+      { _id: order._id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    ).lean();
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Only pending orders can be cancelled' });
+    }
+    res.json(toOrderJson(cancelled));
+  } catch (err) {
+    console.error('Promotion order cancel error:', err);
+    res.status(500).json({ error: 'Failed to cancel promotion order' });
+  }
+});
+
+/**
+ * POST /promotions/grants
+ * Promote a listing for free (requires promotions:manage). Body: { listingId, promotionType, durationDays, note? }.
+ * Follows the same stacking rules as orders and is recorded in the listing's history.
+ */
+router.post('/grants', requireAuth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const { listingId, promotionType, note } = req.body || {};
+    const durationDays = Number(req.body?.durationDays);
+    if (!PROMOTION_TYPES.includes(promotionType) || promotionType === 'none') {
+      const types = PROMOTION_TYPES.filter((t) => t !== 'none');
+      return res.status(400).json({ error: `promotionType must be one of: ${types.join(', ')}` });
+    }
+    if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > 365) {
+      return res.status(400).json({ error: 'durationDays must be a whole number between 1 and 365' });
+    }
+    const listing = await findById(Listing, listingId);
+    if (!listing) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { order, error } = await grantPromotion({
+      listing,
+      staff: req.user,
+      promotionType,
+      durationDays,
+      note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+    });
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    await recordAuditEvent({
+      actor: req.user,
+      action: 'promotion.grant',
+      targetType: 'Listing',
+      targetId: listing._id,
+      ownerId: listing.ownerId,
+      details: { orderId: order._id, promotionType, durationDays, endsAt: order.endsAt },
+    });
+    res.status(201).json(toOrderJson(order));
+  } catch (err) {
+    console.error('Promotion grant error:', err);
+    res.status(500).json({ error: 'Failed to grant promotion' });
+  }
+});
+
+/**
+ * GET /promotions/listings/:id/history
+ * Applied promotions of a listing (active, scheduled, completed, superseded), newest first.
+ * Listing owner or promotions:manage only.
+ */
+router.get('/listings/:id/history', requireAuth, async (req, res) => {
+  try {
+    const listing = await findById(Listing, req.params.id);
+    if (!listing) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (listing.ownerId?.toString() !== req.user._id.toString() && !canManage(req.user)) {
+      return res.status(403).json({ error: 'You can only view the history of your own listings' });
+    }
+    const orders = await PromotionOrder.find({
+      listingId: listing._id,
+      status: { $in: ['active', 'completed', 'superseded'] },
+    })
+      .sort({ startsAt: -1, createdAt: -1 })
+      .lean();
+    res.json(orders.map(toOrderJson));
+  } catch (err) {
+    console.error('Promotion history error:', err);
+    res.status(500).json({ error: 'Failed to load promotion history' });
+  }
+});
+
+export default router;
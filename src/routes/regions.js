@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import { Region } from '../models/Region.js';
-import { requireAuth } from '../middleware/auth.js';
+import { Listing } from '../models/Listing.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -55,7 +56,7 @@ router.get('/:id', async (req, res) => {
  * POST /regions
  * Create a region. Body: { slug, label }
  */
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('locations:write'), async (req, res) => {
   try {
     const { slug, label } = req.body;
 
@@ -109,7 +110,7 @@ router.post('/', requireAuth, async (req, res) => {
  * PUT /regions/:id
  * Update a region. Body: { slug?, label? }
  */
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('locations:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { slug, label } = req.body;
@@ -164,9 +165,9 @@ router.put('/:id', requireAuth, async (req, res) => {
 
 /**
  * DELETE /regions/:id
- * Delete a region
+ * Delete a region. Returns 409 while listings (including deleted ones that can still be restored) use it.
  */
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('locations:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -175,6 +176,11 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Region not found' });
     }
 
+    const listingCount = await Listing.countDocuments({ 'location.regionId': region._id });
+    if (listingCount > 0) {
+      return res.status(409).json({ error: `Region is used by ${listingCount} listing(s)` });
+    }
+
     await Region.deleteOne({ _id: id });
 
     res.status(204).send();
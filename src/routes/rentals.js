@@ -0,0 +1,296 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { AvailabilityBlock } from '../models/AvailabilityBlock.js';
+import { BookingRequest } from '../models/BookingRequest.js';
+import { Listing } from '../models/Listing.js';
+import { requireAuth } from '../middleware/auth.js';
+import { isListingPublic } from '../services/listingVisibility.js';
+import {
+  acceptBookingRequest,
+  cancelBookingRequest,
+  createAvailabilityBlock,
+  createBookingRequest,
+  declineBookingRequest,
+  getUnavailableRanges,
+  parseRentalRange,
+  toBlockJson,
+  toBookingJson,
+} from '../services/rentalService.js';
+import { hasPermission } from '../utils/roles.js';
+
+const router = Router();
+
+const BOOKING_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+const MAX_RANGE_QUERY_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isOwnerOrAdmin(user, listing) {
+  return listing.ownerId?.toString() === user._id.toString() || hasPermission(user, 'listings:manageAny');
+}
+
+/**
+ * Loads a rent listing by :listingId; sends 404/400 and returns null when missing or not a rent listing.
+ */
+async function loadRentListing(req, res) {
+  const { listingId } = req.params;
+  const listing = mongoose.isValidObjectId(listingId) ? await Listing.findById(listingId).lean() : null;
+  if (!listing || listing.deletedAt) {
+    res.status(404).json({ error: 'Product not found' });
+    return null;
+  }
+  if (listing.type !== 'rent') {
+    res.status(400).json({ error: 'Only rent listings have availability' });
+    return null;
+  }
+  return listing;
+}
+
+async function loadBooking(req, res) {
+  const { id } = req.params;
+  const booking = mongoose.isValidObjectId(id) ? await BookingRequest.findById(id).lean() : null;
+  if (!booking) {
+    res.status(404).json({ error: 'Booking request not found' });
+    return null;
+  }
+  return booking;
+}
+
+/**
+ * GET /rentals/listings/:listingId/availability
+ * Unavailable (blocked or booked) ranges of a published rent listing. Query: ?from=&to= (ISO dates,
+ * default the next 90 days, at most 366 days). Returns { rentPeriod, from, to, unavailable: [{ start, end }] }.
+ */
+router.get('/listings/:listingId/availability', async (req, res) => {
+  try {
+    const listing = await loadRentListing(req, res);
+    if (!listing) return;
+    if (!isListingPublic(listing)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + config.rentals.publicAvailabilityDays * DAY_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+    if (to.getTime() - from.getTime() > MAX_RANGE_QUERY_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `The range cannot exceed ${MAX_RANGE_QUERY_DAYS} days` });
+    }
+    const unavailable = await getUnavailableRanges(listing._id, from, to);
+    res.json({ rentPeriod: listing.rentPeriod, from, to, unavailable });
+  } catch (err) {
+    console.error('Availability get error:', err);
+    res.status(500).json({ error: 'Failed to get availability' });
+  }
+});
+
+/**
+ * GET /rentals/listings/:listingId/blocks
+ * Upcoming blocked and booked ranges with details (owner, or listings:manageAny).
+ */
+router.get('/listings/:listingId/blocks', requireAuth, async (req, res) => {
+  try {
+    const listing = await loadRentListing(req, res);
+    if (!listing) return;
+    if (!isOwnerOrAdmin(req.user, listing)) {
+      return res.status(403).json({ error: 'You can only manage availability of your own listings' });
+    }
+    const blocks = await AvailabilityBlock.find({ listingId: listing._id, end: { $gt: new Date() } })
+      .sort({ start: 1 })
+      .lean();
+    res.json(blocks.map(toBlockJson));
+  } catch (err) {
+    console.error('Availability blocks list error:', err);
+    res.status(500).json({ error: 'Failed to list availability blocks' });
+  }
+});
+
+/**
+ * POST /rentals/listings/:listingId/blocks
+ * Mark a range unavailable (owner, or listings:manageAny). Body: { start, end, note? }.
+ * The range is widened to whole rentPeriods and may not overlap a booking.
+ */
+router.post('/listings/:listingId/blocks', requireAuth, async (req, res) => {
+  try {
+    const listing = await loadRentListing(req, res);
+    if (!listing) return;
+    if (!isOwnerOrAdmin(req.user, listing)) {
+      return res.status(403).json({ error: 'You can only manage availability of your own listings' });
+    }
+    const range = parseRentalRange(req.body, listing);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 200) : '';
+    const { block, error } = await createAvailabilityBlock(listing, range, note);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.status(201).json(toBlockJson(block));
+  } catch (err) {
+    console.error('Availability block create error:', err);
+    res.status(500).json({ error: 'Failed to block dates' });
+  }
+});
+
+/**
+ * DELETE /rentals/listings/:listingId/blocks/:blockId
+ * Remove an owner block. Booked ranges are freed by cancelling the booking instead.
+ */
+router.delete('/listings/:listingId/blocks/:blockId', requireAuth, async (req, res) => {
+  try {
+    const listing = await loadRentListing(req, res);
+    if (!listing) return;
+    if (!isOwnerOrAdmin(req.user, listing)) {
+      return res.status(403).json({ error: 'You can only manage availability of your own listings' });
+    }
+    const { blockId } = req.params;
+    const block = mongoose.isValidObjectId(blockId)
+      ? await AvailabilityBlock.findOne({ _id: blockId, listingId: listing._id }).lean()
+      : null;
+    if (!block) {
+      return res.status(404).json({ error: 'Availability block not found' });
+    }
+    if (block.kind === 'booked') {
+      return res.status(409).json({ error: 'Booked ranges are removed by cancelling the booking' });
+    }
+    await AvailabilityBlock.deleteOne({ _id: block._id });
+    res.status(204).send();
+  } catch (err) {
+    console.error('Availability block delete error:', err);
+    res.status(500).json({ error: 'Failed to remove block' });
+  }
+});
+
+/**
+ * POST /rentals/listings/:listingId/bookings
+ * Request to rent a listing. Body: { start, end, message? }. The range is widened to whole rentPeriods
+ * and must not overlap blocked or booked dates. The owner is notified.
+ */
+router.post('/listings/:listingId/bookings', requireAuth, async (req, res) => {
+  try {
+    const listing = await loadRentListing(req, res);
+    if (!listing) return;
+    const range = parseRentalRange(req.body, listing);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const message = typeof req.body.message === 'string' ? req.body.message.trim().slice(0, 1000) : '';
+    const { booking, error, status } = await createBookingRequest(listing, req.user._id, range, message);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).json(toBookingJson(booking));
+  } catch (err) {
+    console.error('Booking request create error:', err);
+    res.status(500).json({ error: 'Failed to request booking' });
+  }
+});
+
+/**
+ * GET /rentals/bookings
+ * Booking requests of the current user. Query: ?as=renter (default; requests you sent) or ?as=owner
+ * (requests for your listings), ?status=pending|accepted|declined|cancelled, ?listingId=.
+ */
+router.get('/bookings', requireAuth, async (req, res) => {
+  try {
+    const filter = req.query.as === 'owner' ? { ownerId: req.user._id } : { renterId: req.user._id };
+    if (BOOKING_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (req.query.listingId) {
+      if (!mongoose.isValidObjectId(req.query.listingId)) {
+        return res.status(400).json({ error: 'Invalid listingId' });
+      }
+      filter.listingId = req.query.listingId;
+    }
+    const bookings = await BookingRequest.find(filter)
+      .sort({ start: 1 })
+      .limit(200)
+      .populate('listingId', 'title slug thumbnail')
+      .lean();
+    res.json(
+      bookings.map((b) => ({
+        ...toBookingJson(b),
+        listing: b.listingId?._id
+          ? { id: b.listingId._id.toString(), title: b.listingId.title, slug: b.listingId.slug, thumbnail: b.listingId.thumbnail }
+          : null,
+      }))
+    );
+  } catch (err) {
+    console.error('Bookings list error:', err);
+    res.status(500).json({ error: 'Failed to list bookings' });
+  }
+});
+
+/**
+ * POST /rentals/bookings/:id/accept
+ * Owner accepts a pending request; overlapping pending requests are declined.
+ */
+router.post('/bookings/:id/accept', requireAuth, async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    if (booking.ownerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the listing owner can accept this request' });
+    }
+    const listing = await Listing.findById(booking.listingId, { title: 1, deletedAt: 1 }).lean();
+    if (!listing || listing.deletedAt) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const { booking: accepted, error } = await acceptBookingRequest(booking, listing);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.json(toBookingJson(accepted));
+  } catch (err) {
+    console.error('Booking accept error:', err);
+    res.status(500).json({ error: 'Failed to accept booking' });
+  }
+});
+
+/**
+ * POST /rentals/bookings/:id/decline
+ * Owner declines a pending request. Body: { reason? }.
+ */
+router.post('/bookings/:id/decline', requireAuth, async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    if (booking.ownerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the listing owner can decline this request' });
+    }
+    const listing = await Listing.findById(booking.listingId, { title: 1 }).lean();
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const { booking: declined, error } = await declineBookingRequest(booking, listing, reason);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.json(toBookingJson(declined));
+  } catch (err) {
+    console.error('Booking decline error:', err);
+    res.status(500).json({ error: 'Failed to decline booking' });
+  }
+});
+
+/**
+ * POST /rentals/bookings/:id/cancel
+ * Renter cancels a pending request, or an accepted booking that has not started yet.
+ */
+router.post('/bookings/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    if (booking.renterId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only cancel your own bookings' });
+    }
+    const { booking: cancelled, error } = await cancelBookingRequest(booking);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+    res.json(toBookingJson(cancelled));
+  } catch (err) {
+    console.error('Booking cancel error:', err);
+    res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+});
+
+export default router;
@@ -0,0 +1,226 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { Listing } from '../models/Listing.js';
+import { Review } from '../models/Review.js';
+import { User } from '../models/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { hasDealtWithSeller, refreshSellerRating, toReviewJson } from '../services/reviewService.js';
+import { hasPermission } from '../utils/roles.js';
+
+const router = Router();
+
+const REVIEWER_FIELDS = 'firstName lastName businessName userType';
+const MAX_TEXT_LENGTH = 2000;
+
+/** Validates { rating, text } from the body; both required unless partial. */
+function parseReviewInput(body, partial) {
+  const fields = {};
+  if (body.rating !== undefined || !partial) {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: 'rating must be a whole number from 1 to 5' };
+    }
+    fields.rating = rating;
+  }
+  if (body.text !== undefined) {
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    if (text.length > MAX_TEXT_LENGTH) return { error: `Review cannot exceed ${MAX_TEXT_LENGTH} characters` };
+    fields.text = text;
+  }
+  return { fields };
+}
+
+async function loadReview(req, res) {
+  const { id } = req.params;
+  const review = mongoose.isValidObjectId(id) ? await Review.findById(id) : null;
+  if (!review) {
+    res.status(404).json({ error: 'Review not found' });
+    return null;
+  }
+  return review;
+}
+
+/**
+ * GET /reviews?sellerId=
+ * Reviews of a seller, newest first. Query: ?limit=20&skip=0, ?listingId= to narrow to one listing.
+ * Returns { items, total, rating: { average, count } }.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { sellerId, listingId } = req.query;
+    if (!mongoose.isValidObjectId(sellerId)) {
+      return res.status(400).json({ error: 'sellerId is required' });
+    }
+    const seller = await User.findById(sellerId, { rating: 1 }).lean();
+    if (!seller) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const skip = Math.max(Number(req.query.skip) || 0, 0);
+    const filter = { sellerId };
+    if (listingId !== undefined) {
+      if (!mongoose.isValidObjectId(listingId)) {
+        return res.status(400).json({ error: 'Invalid listingId' });
+      }
+      filter.listingId = listingId;
+    }
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('reviewerId', REVIEWER_FIELDS).lean(),
+      Review.countDocuments(filter),
+    ]);
+    res.json({
+      items: reviews.map(toReviewJson),
+      total,
+      rating: { average: seller.rating?.average ?? 0, count: seller.rating?.count ?? 0 },
+    });
+  } catch (err) {
+    console.error('Reviews list error:', err);
+    res.status(500).json({ error: 'Failed to list reviews' });
+  }
+});
+
+/**
+ * POST /reviews
+ * Review a seller you have dealt with (they replied to your messages, or you rented from them). Body: { sellerId, listingId?, rating (1–5), text? }.
+ * One review per seller and listing.
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { fields, error } = parseReviewInput(body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { sellerId } = body;
+    const seller = mongoose.isValidObjectId(sellerId) ? await User.exists({ _id: sellerId }) : null;
+    if (!seller) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (sellerId === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot review yourself' });
+    }
+    let listingId = null;
+    if (body.listingId !== undefined && body.listingId !== null && body.listingId !== '') {
+      const listing = mongoose.isValidObjectId(body.listingId) ? await Listing.findById(body.listingId, { ownerId: 1 }).lean() : null;
+      if (!listing || listing.ownerId?.toString() !== sellerId) {
+        return res.status(400).json({ error: 'listingId must be a listing of this seller' });
+      }
+      listingId = listing._id;
+    }
+    if (!(await hasDealtWithSeller(req.user._id, sellerId, listingId))) {
+      return res.status(403).json({ error: 'You can only review sellers who have replied to you or rented to you' });
+    }
+
+    const review = await Review.create({ ...fields, sellerId, listingId, reviewerId: req.user._id });
+    await refreshSellerRating(review.sellerId);
+    await review.populate('reviewerId', REVIEWER_FIELDS);
+    res.status(201).json(toReviewJson(review.toObject()));
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'You have already reviewed this seller for this listing' });
+    }
+    if (err.name === 'ValidationError') {
+      const msg = Object.values(err.errors)
+        .map((e) => e.message)
+        .join(' ');
+      return res.status(400).json({ error: msg });
+    }
+    console.error('Review create error:', err);
+    res.status(500).json({ error: 'Failed to create review' });
+  }
+});
+
+/**
+ * PUT /reviews/:id
+ * Edit your review. Body: { rating?, text? }.
+ */
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { fields, error } = parseReviewInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const review = await loadReview(req, res);
+    if (!review) return;
+    if (review.reviewerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only edit your own reviews' });
+    }
+    review.set(fields);
+    await review.save();
+    if (fields.rating !== undefined) await refreshSellerRating(review.sellerId);
+    await review.populate('reviewerId', REVIEWER_FIELDS);
+    res.json(toReviewJson(review.toObject()));
+  } catch (err) {
+    console.error('Review update error:', err);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+/**
+ * POST /reviews/:id/reply
+ * The reviewed seller posts their public reply (once). Body: { text }.
+ */
+router.post('/:id/reply', requireAuth, async (req, res) => {
+  try {
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({ error: 'Reply text is required' });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `Reply cannot exceed ${MAX_TEXT_LENGTH} characters` });
+    }
+    const review = await loadReview(req, res);
+    if (!review) return;
+    if (review.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the reviewed seller can reply' });
+    }
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, 'reply.text': { $in: [null, ''] } },
+      { $set: { reply: { text, createdAt: new Date() } } },
+      { new: true }
+    )
+      .populate('reviewerId', REVIEWER_FIELDS)
+      .lean();
+    if (!updated) {
+      return res.status(409).json({ error: 'You have already replied to this review' });
+    }
+    res.status(201).json(toReviewJson(updated));
+  } catch (err) {
+    console.error('Review reply error:', err);
+    res.status(500).json({ error: 'Failed to reply to review' });
+  }
+});
+
+/**
+ * DELETE /reviews/:id
+ * Delete a review (its author, or listings:moderate; moderator deletions are audited).
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+    const isAuthor = review.reviewerId.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(req.user, 'listings:moderate')) {
+      return res.status(403).json({ error: 'You can only delete your own reviews' });
+    }
+    await review.deleteOne();
+    await refreshSellerRating(review.sellerId);
+    if (!isAuthor) {
+      await recordAuditEvent({
+        actor: req.user,
+        action: 'review.delete',
+        targetType: 'Review',
+        targetId: review._id,
+        ownerId: review.reviewerId,
+        details: { sellerId: review.sellerId, rating: review.rating, text: review.text },
+      });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('Review delete error:', err);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+export default router;
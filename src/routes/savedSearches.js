@@ -0,0 +1,153 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { SavedSearch } from '../models/SavedSearch.js';
+import { SavedSearchMatch } from '../models/SavedSearchMatch.js';
+import { requireAuth } from '../middleware/auth.js';
+import { NOTIFICATION_CHANNELS } from '../services/notificationChannels.js';
+import { normalizeSavedSearchQuery, toSavedSearchJson } from '../services/savedSearchService.js';
+
+const router = Router();
+
+const FREQUENCIES = ['instant', 'daily'];
+
+router.use(requireAuth);
+
+/**
+ * Validates name/frequency/channels from the body (only those present unless `required`).
+ * @returns {{ fields: object, error?: string }}
+ */
+function parseSettings(body, required) {
+  const fields = {};
+  if (body.name !== undefined || required) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { fields, error: 'Name is required' };
+    fields.name = name;
+  }
+  if (body.frequency !== undefined) {
+    if (!FREQUENCIES.includes(body.frequency)) {
+      return { fields, error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    fields.frequency = body.frequency;
+  }
+  if (body.channels !== undefined) {
+    const channels = Array.isArray(body.channels) ? [...new Set(body.channels)] : null;
+    if (!channels || channels.length === 0 || channels.some((c) => !NOTIFICATION_CHANNELS.includes(c))) {
+      return { fields, error: `channels must be a non-empty list of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+    }
+    fields.channels = channels;
+  }
+  return { fields };
+}
+
+async function findOwnSearch(req) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedSearch.findOne({ _id: id, userId: req.user._id });
+}
+
+/**
+ * GET /saved-searches
+ * Current user's saved searches, newest first.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    res.json(searches.map(toSavedSearchJson));
+  } catch (err) {
+    console.error('Saved searches list error:', err);
+    res.status(500).json({ error: 'Failed to list saved searches' });
+  }
+});
+
+/**
+ * POST /saved-searches
+ * Save a search. Body: { name, query, frequency?: 'instant'|'daily', channels?: ['inApp', 'email'] }.
+ * query is the GET /products query as an object or query string; limit/skip/cursor/sort/highlight are dropped.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { fields, error } = parseSettings(body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { fields: queryFields, error: queryError } = await normalizeSavedSearchQuery(body.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= config.savedSearches.maxPerUser) {
+      return res.status(409).json({ error: `You can save at most ${config.savedSearches.maxPerUser} searches` });
+    }
+    const search = await SavedSearch.create({ ...fields, ...queryFields, userId: req.user._id });
+    res.status(201).json(toSavedSearchJson(search));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const msg = Object.values(err.errors)
+        .map((e) => e.message)
+        .join(' ');
+      return res.status(400).json({ error: msg });
+    }
+    console.error('Saved search create error:', err);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+/**
+ * PUT /saved-searches/:id
+ * Update name, query, frequency or channels of one of your saved searches.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { fields, error } = parseSettings(body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (body.query !== undefined) {
+      const { fields: queryFields, error: queryError } = await normalizeSavedSearchQuery(body.query);
+      if (queryError) {
+        return res.status(400).json({ error: queryError });
+      }
+      Object.assign(fields, queryFields);
+    }
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    search.set(fields);
+    await search.save();
+    res.json(toSavedSearchJson(search));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const msg = Object.values(err.errors)
+        .map((e) => e.message)
+        .join(' ');
+      return res.status(400).json({ error: msg });
+    }
+    console.error('Saved search update error:', err);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+/**
+ * DELETE /saved-searches/:id
+ * Delete one of your saved searches (and its undelivered alerts).
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    await search.deleteOne();
+    await SavedSearchMatch.deleteMany({ savedSearchId: search._id });
+    res.status(204).send();
+  } catch (err) {
+    console.error('Saved search delete error:', err);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+export default router;
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import path from 'path';
+import express, { Router } from 'express';
+import { config } from '../config.js';
+import { getStorage, resolveLocalPath, signLocalUpload } from '../lib/storage.js';
+
+/**
+ * Local storage driver endpoints (mounted at /api/storage only when config.storage.driver is 'local'):
+ * the "presigned" upload URLs from getPresignedUploadUrls and public file URLs point here.
+ */
+const router = Router();
+
+const rawBody = express.raw({ type: () => true, limit: config.images.maxBytes });
+
+/**
+ * Checks the signature and expiry of an upload URL created by the local driver's presignPut.
+ */
+function verifyUploadUrl(req, res, next) {
+  const key = req.params[0];
+  const { contentType, expires, signature } = req.query;
+  if (!resolveLocalPath(key) || typeof contentType !== 'string' || typeof signature !== 'string') {
+    return res.status(403).json({ error: 'Invalid upload URL' });
+  }
+  const expected = Buffer.from(signLocalUpload(key, contentType, expires));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return res.status(403).json({ error: 'Invalid upload URL' });
+  }
+  if (!(Number(expires) * 1000 > Date.now())) {
+    return res.status(403).json({ error: 'Upload URL has expired' });
+  }
+  if (req.get('Content-Type') !== contentType) {
+    return res.status(400).json({ error: `Content-Type must be ${contentType}` });
+  }
+  next();
+}
+
+function parseUploadBody(req, res, next) {
+  rawBody(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'File is too large' : 'Invalid upload body' });
+    }
+    next();
+  });
+}
+
+/**
+ * PUT /storage/upload/:key
+ * Stores the request body at key (a signed URL from POST /products/upload/presign).
+ */
+router.put('/upload/*', verifyUploadUrl, parseUploadBody, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload body is empty' });
+    }
+    await getStorage().put(req.params[0], req.body, req.get('Content-Type'));
+    res.status(200).send();
+  } catch (err) {
+    console.error('Local storage upload error:', err);
+    res.status(500).json({ error: 'Failed to store upload' });
+  }
+});
+
+/**
+ * GET /storage/files/:key
+ * Serves stored files (the local equivalent of the public R2 bucket URL).
+ */
+router.use('/files', express.static(path.resolve(config.storage.localDir), { dotfiles: 'deny', maxAge: '1h' }));
+
+export default router;
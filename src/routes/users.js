@@ -0,0 +1,111 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { optionalAuth, requireAuth, requirePermission } from '../middleware/auth.js';
+import { updateRoleById } from '../store/users.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { getDisplayCurrency } from '../services/currencyService.js';
+import { annotateSaved } from '../services/favoriteService.js';
+import { findListingsPage, toListingJson } from '../services/listingService.js';
+import { getSellerProfile, sellerListingsMatch } from '../services/sellerProfileService.js';
+import { ROLES } from '../utils/roles.js';
+
+const router = Router();
+
+/**
+ * One page of a seller's active public listings in promotion order, as { items, nextCursor, total }.
+ * @returns {Promise<{ page?: object, error?: string }>}
+ */
+async function getSellerListingsPage(req, sellerId) {
+  const display = await getDisplayCurrency(req);
+  if (display.error) return { error: display.error };
+  const { cursor, limit = 20 } = req.query;
+  if (cursor !== undefined && typeof cursor !== 'string') return { error: 'Invalid cursor' };
+  const page = await findListingsPage({ match: sellerListingsMatch(sellerId), cursor, limit, populateOwner: true });
+  if (page.error) return { error: page.error };
+  const items = await annotateSaved(page.items.map((d) => toListingJson({ ...d }, display)), req.user);
+  return { page: { items, nextCursor: page.nextCursor, total: page.total } };
+}
+
+/**
+ * GET /users/:id/profile
+ * Public seller page: { id, name, type, memberSince, rating: { average, count }, listingCounts: { active, sold, rented, expired, total },
+ * listings: { items, nextCursor, total } }. listings is the first page of active listings in promotion order
+ * (?limit=20, ?currency=); fetch more with GET /users/:id/listings?cursor=nextCursor. Never exposes email.
+ */
+router.get('/:id/profile', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const profile = mongoose.isValidObjectId(id) ? await getSellerProfile(id) : null;
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { page, error } = await getSellerListingsPage(req, id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ ...profile, listings: page });
+  } catch (err) {
+    console.error('User profile error:', err);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+/**
+ * GET /users/:id/listings
+ * A seller's active public listings in promotion order. Query: ?cursor= (empty or nextCursor), ?limit=20, ?currency=.
+ * Returns { items, nextCursor, total }.
+ */
+router.get('/:id/listings', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { page, error } = await getSellerListingsPage(req, id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(page);
+  } catch (err) {
+    console.error('User listings error:', err);
+    res.status(500).json({ error: 'Failed to list seller listings' });
+  }
+});
+
+/**
+ * PATCH /users/:id/role
+ * Change a user's role (requires users:manageRoles). Body: { role }.
+ */
+router.patch('/:id/role', requireAuth, requirePermission('users:manageRoles'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (id === req.user.id && role !== req.user.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    const updated = await updateRoleById(id, role);
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await recordAuditEvent({
+      actor: req.user,
+      action: 'user.role',
+      targetType: 'User',
+      targetId: updated._id,
+      ownerId: updated._id,
+      details: { role },
+    });
+    res.json({ id: updated.id, email: updated.email, role: updated.role });
+  } catch (err) {
+    console.error('Update user role error:', err);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+/**
+ * One-time script to set expiresAt on listings created before listing expiry existed.
+ * expiresAt = createdAt + lifetime (type/category), so long-stale listings expire on the next job run.
+ * Run: node src/scripts/backfill-listing-expiry.js
+ * Requires MONGODB_URI in env.
+ */
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { computeListingExpiresAt } from '../services/listingExpiryService.js';
+
+async function backfill() {
+  await mongoose.connect(config.mongodbUri);
+  const cursor = Listing.find({ expiresAt: null }, { type: 1, categoryId: 1, createdAt: 1 }).lean().cursor();
+  let updated = 0;
+  for await (const listing of cursor) {
+    const expiresAt = await computeListingExpiresAt(listing, listing.createdAt || new Date());
+    await Listing.updateOne({ _id: listing._id }, { $set: { expiresAt } });
+    updated++;
+  }
+  console.log(`Set expiresAt on ${updated} listings`);
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
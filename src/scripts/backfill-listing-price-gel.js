@@ -0,0 +1,34 @@
+/**
+ * One-time script to fill priceGel (normalized price for cross-currency filtering/sorting) on existing listings.
+ * Set exchange rates first (PUT /api/exchange-rates/:currency), then: node src/scripts/backfill-listing-price-gel.js
+ * Requires MONGODB_URI in env.
+ */
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { getExchangeRates } from '../services/currencyService.js';
+
+async function backfill() {
+  await mongoose.connect(config.mongodbUri);
+  const rates = await getExchangeRates();
+  const currencies = await Listing.distinct('currency');
+
+  for (const currency of currencies) {
+    const rate = rates.get(currency);
+    if (!rate) {
+      console.warn(`Skipping listings in ${currency}: no exchange rate configured`);
+      continue;
+    }
+    const result = await Listing.updateMany(
+      { currency },
+      [{ $set: { priceGel: { $round: [{ $multiply: ['$price', rate] }, 2] } } }]
+    );
+    console.log(`Updated priceGel for ${result.modifiedCount} ${currency} listings`);
+  }
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+/**
+ * One-time script to set promotionRank (the stored sort rank of the running promotion) on existing listings.
+ * Listings whose promotion has already ended get rank 3, like the promotion expiry job would give them.
+ * Run: node src/scripts/backfill-listing-promotion-rank.js
+ * Requires MONGODB_URI in env.
+ */
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { PROMOTION_TYPES, promotionTypeRank } from '../utils/promotion.js';
+
+async function backfill() {
+  await mongoose.connect(config.mongodbUri);
+  const now = new Date();
+  for (const promotionType of PROMOTION_TYPES.filter((t) => t !== 'none')) {
+    const result = await Listing.updateMany(
+      { promotionType, promotionExpiresAt: { $gt: now } },
+      { $set: { promotionRank: promotionTypeRank(promotionType) } }
+    );
+    console.log(`Set promotionRank on ${result.modifiedCount} ${promotionType} listings`);
+  }
+  const rest = await Listing.updateMany(
+    {
+      promotionRank: { $exists: false },
+      $or: [{ promotionType: 'none' }, { promotionExpiresAt: null }, { promotionExpiresAt: { $lte: now } }],
+    },
+    { $set: { promotionRank: 3 } }
+  );
+  console.log(`Set promotionRank on ${rest.modifiedCount} listings without a running promotion`);
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
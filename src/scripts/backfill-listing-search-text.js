@@ -0,0 +1,30 @@
+/**
+ * One-time script to fill specificationsText (used by the keyword search text index) on existing listings.
+ * Run after deploying the Listing text index: node src/scripts/backfill-listing-search-text.js
+ * Requires MONGODB_URI in env.
+ */
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { flattenSpecificationsText } from '../utils/search.js';
+
+async function backfill() {
+  await mongoose.connect(config.mongodbUri);
+  await Listing.syncIndexes();
+
+  const cursor = Listing.find({}, { specifications: 1, specificationsText: 1 }).lean().cursor();
+  let updated = 0;
+  for await (const listing of cursor) {
+    const text = flattenSpecificationsText(listing.specifications);
+    if (listing.specificationsText === text) continue;
+    await Listing.updateOne({ _id: listing._id }, { $set: { specificationsText: text } });
+    updated++;
+  }
+  console.log(`Updated specificationsText for ${updated} listings`);
+  await mongoose.disconnect();
+}
+
+backfill().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * One-time script to map free-text listing locations onto Region/City references.
+ * Matches location.region / location.city against slug or label (case-insensitive). When the region
+ * string is unknown but the city name exists in exactly one region, that region is used.
+ * Listings that cannot be mapped are reported and left unchanged.
+ * Run after seeding regions and cities: node src/scripts/migrate-listing-locations.js [--dry-run]
+ * Requires MONGODB_URI in env.
+ */
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { Region } from '../models/Region.js';
+import { City } from '../models/City.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+function key(s) {
+  return typeof s === 'string' ? s.trim().toLowerCase() : '';
+}
+
+async function migrate() {
+  await mongoose.connect(config.mongodbUri);
+  const regions = await Region.find({}).lean();
+  const cities = await City.find({}).lean();
+
+  const regionByKey = new Map();
+  for (const r of regions) {
+    regionByKey.set(key(r.slug), r);
+    regionByKey.set(key(r.label), r);
+  }
+  // city key → cities with that slug/label (possibly in several regions)
+  const citiesByKey = new Map();
+  for (const c of cities) {
+    for (const k of new Set([key(c.slug), key(c.label)])) {
+      if (!citiesByKey.has(k)) citiesByKey.set(k, []);
+      citiesByKey.get(k).push(c);
+    }
+  }
+
+  const listings = await Listing.find({ 'location.cityId': { $exists: false } }, { location: 1, slug: 1 }).lean();
+  let updated = 0;
+  const unmapped = [];
+  for (const listing of listings) {
+    const candidates = citiesByKey.get(key(listing.location?.city)) || [];
+    let region = regionByKey.get(key(listing.location?.region));
+    let city = region ? candidates.find((c) => c.regionId.toString() === region._id.toString()) : null;
+    if (!city && candidates.length === 1) {
+      city = candidates[0];
+      region = regions.find((r) => r._id.toString() === city.regionId.toString());
+    }
+    if (!region || !city) {
+      unmapped.push(listing);
+      continue;
+    }
+    if (!dryRun) {
+      await Listing.updateOne(
+        { _id: listing._id },
+        {
+          $set: {
+            'location.regionId': region._id,
+            'location.cityId': city._id,
+            'location.region': region.label,
+            'location.city': city.label,
+          },
+        }
+      );
+    }
+    updated++;
+  }
+
+  console.log(`${dryRun ? 'Would map' : 'Mapped'} ${updated} of ${listings.length} listings`);
+  for (const l of unmapped) {
+    console.warn(`Unmapped listing ${l._id} (${l.slug}): region="${l.location?.region}" city="${l.location?.city}"`);
+  }
+  await mongoose.disconnect();
+}
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
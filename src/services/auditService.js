@@ -0,0 +1,18 @@
+import { AuditLog } from '../models/AuditLog.js';
+
+/**
+ * Records a privileged action.
+ * @param {{ actor: { _id: unknown, role?: string }, action: string, targetType: string, targetId: unknown, ownerId?: unknown, details?: object }} event
+ *   action: dotted name such as 'listing.update'; details: action-specific data (changed fields, snapshot, reason)
+ */
+export async function recordAuditEvent({ actor, action, targetType, targetId, ownerId = null, details = {} }) {
+  await AuditLog.create({
+    actorId: actor._id,
+    actorRole: actor.role,
+    action,
+    targetType,
+    targetId,
+    ownerId,
+    details,
+  });
+}
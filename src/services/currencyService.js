@@ -0,0 +1,96 @@
+import { ExchangeRate } from '../models/ExchangeRate.js';
+
+/** Listing.priceGel and all price filters are expressed in the base currency. */
+export const BASE_CURRENCY = 'GEL';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+/**
+ * Exchange rates as currency → GEL per unit, including GEL itself (1).
+ * Cached in memory for CACHE_TTL_MS; call invalidateExchangeRates() after changing rates.
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getExchangeRates() {
+  if (cache && cache.expiresAt > Date.now()) return cache.rates;
+  const docs = await ExchangeRate.find({}).lean();
+  const rates = new Map(docs.map((d) => [d.currency, d.rateToGel]));
+  rates.set(BASE_CURRENCY, 1);
+  cache = { rates, expiresAt: Date.now() + CACHE_TTL_MS };
+  return rates;
+}
+
+export function invalidateExchangeRates() {
+  cache = null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Converts amount between currencies. Returns null when either rate is unknown.
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {Map<string, number>} rates - from getExchangeRates()
+ * @returns {number | null}
+ */
+export function convertPrice(amount, from, to, rates) {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) return null;
+  if (from === to) return amount;
+  const fromRate = rates.get(from);
+  const toRate = rates.get(to);
+  if (!fromRate || !toRate) return null;
+  return round2((amount * fromRate) / toRate);
+}
+
+/**
+ * Price in the base currency (Listing.priceGel). Returns null when the currency has no rate.
+ * @param {number} amount
+ * @param {string} currency
+ */
+export async function toBasePrice(amount, currency) {
+  const rates = await getExchangeRates();
+  return convertPrice(amount, currency, BASE_CURRENCY, rates);
+}
+
+/**
+ * Logs the currencies that have no exchange rate. Listings priced in them get no priceGel, so price filters
+ * and price sorting leave them out until the rate is set (PUT /api/exchange-rates/:currency). Run at startup.
+ * @param {string[]} currencies - currencies listings can be priced in
+ */
+export async function warnMissingExchangeRates(currencies) {
+  const rates = await getExchangeRates();
+  const missing = currencies.filter((c) => !rates.get(c));
+  if (missing.length > 0) {
+    console.warn(`No exchange rate for ${missing.join(', ')}; listings in these currencies have no normalized price`);
+  }
+}
+
+/**
+ * Validates a requested display currency (?currency=). Empty means the base currency.
+ * @param {unknown} raw
+ * @param {Map<string, number>} rates
+ * @returns {{ currency: string, error?: string }}
+ */
+export function resolveCurrency(raw, rates) {
+  if (raw === undefined || raw === null || raw === '') return { currency: BASE_CURRENCY };
+  const currency = typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+  if (!rates.has(currency)) {
+    return { currency: BASE_CURRENCY, error: `currency must be one of: ${[...rates.keys()].join(', ')}` };
+  }
+  return { currency };
+}
+
+/**
+ * Resolves ?currency= for listing responses. Returns the rates table alongside so callers can pass it to toListingJson.
+ * @param {{ query: { currency?: unknown } }} req
+ * @returns {Promise<{ currency: string, rates: Map<string, number>, error?: string }>}
+ */
+export async function getDisplayCurrency(req) {
+  const rates = await getExchangeRates();
+  const { currency, error } = resolveCurrency(req.query.currency, rates);
+  return { currency, rates, error };
+}
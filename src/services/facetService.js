@@ -0,0 +1,187 @@
+import { Listing } from '../models/Listing.js';
+import { Region } from '../models/Region.js';
+import { City } from '../models/City.js';
+
+const RANGE_BUCKETS = 5;
+
+/**
+ * The list $match without attribute conditions: the part shared by every facet.
+ * Attribute conditions are identified by reference in match.$and (see buildListingMatch).
+ */
+function baseMatch(match, attributeConditions) {
+  const attributeSet = new Set(attributeConditions.map((c) => c.condition));
+  const { $and, ...rest } = match;
+  const others = ($and || []).filter((c) => !attributeSet.has(c));
+  return others.length > 0 ? { ...rest, $and: others } : rest;
+}
+
+/** $match stage for all attribute conditions except the one of excludeFilterId. */
+function attributeStages(attributeConditions, excludeFilterId) {
+  const conds = attributeConditions
+    .filter((c) => !excludeFilterId || c.filter._id.toString() !== excludeFilterId.toString())
+    .map((c) => c.condition);
+  return conds.length > 0 ? [{ $match: { $and: conds } }] : [];
+}
+
+function attributeValueStages(filterId) {
+  return [
+    { $unwind: '$attributes' },
+    { $match: { 'attributes.filterId': filterId } },
+  ];
+}
+
+/**
+ * Facet pipelines for one filter. Each filter's counts ignore its own f.* condition (so the sidebar
+ * still shows the other options) but apply every other attribute condition.
+ * @returns {Record<string, object[]>}
+ */
+function filterFacetPipelines(filter, key, attributeConditions) {
+  const pre = attributeStages(attributeConditions, filter._id);
+  if (filter.type === 'select') {
+    return {
+      [key]: [
+        ...pre,
+        ...attributeValueStages(filter._id),
+        { $group: { _id: '$attributes.value', count: { $sum: 1 } } },
+      ],
+    };
+  }
+  if (filter.type === 'range' || filter.type === 'number') {
+    const numeric = [...pre, ...attributeValueStages(filter._id), { $match: { 'attributes.value': { $type: 'number' } } }];
+    return {
+      [`${key}_stats`]: [
+        ...numeric,
+        { $group: { _id: null, min: { $min: '$attributes.value' }, max: { $max: '$attributes.value' }, count: { $sum: 1 } } },
+      ],
+      [`${key}_buckets`]: [
+        ...numeric,
+        { $bucketAuto: { groupBy: '$attributes.value', buckets: RANGE_BUCKETS } },
+      ],
+    };
+  }
+  if (filter.type === 'checkbox') {
+    return {
+      [key]: [
+        ...pre,
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            checked: {
+              $sum: {
+                $cond: [
+                  {
+                    $gt: [
+                      {
+                        $size: {
+                          $filter: {
+                            input: { $ifNull: ['$attributes', []] },
+                            cond: {
+                              $and: [{ $eq: ['$$this.filterId', filter._id] }, { $eq: ['$$this.value', true] }],
+                            },
+                          },
+                        },
+                      },
+                      0,
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ],
+    };
+  }
+  // text filters have no facet
+  return {};
+}
+
+function toFilterFacet(filter, key, result) {
+  const base = { id: filter._id.toString(), slug: filter.slug, name: filter.name, type: filter.type, unit: filter.unit || '' };
+  if (filter.type === 'select') {
+    const counts = new Map((result[key] || []).map((r) => [r._id, r.count]));
+    return { ...base, options: (filter.options || []).map((value) => ({ value, count: counts.get(value) || 0 })) };
+  }
+  if (filter.type === 'range' || filter.type === 'number') {
+    const stats = result[`${key}_stats`]?.[0];
+    return {
+      ...base,
+      min: stats ? stats.min : null,
+      max: stats ? stats.max : null,
+      count: stats ? stats.count : 0,
+      buckets: (result[`${key}_buckets`] || []).map((b) => ({ min: b._id.min, max: b._id.max, count: b.count })),
+    };
+  }
+  if (filter.type === 'checkbox') {
+    const row = result[key]?.[0];
+    const checked = row ? row.checked : 0;
+    return { ...base, true: checked, false: row ? row.total - checked : 0 };
+  }
+  return null;
+}
+
+/**
+ * Facet counts for the listing query built by buildListingMatch, in one aggregation.
+ * - select: count per option (all options listed, 0 when none)
+ * - range/number: min, max and RANGE_BUCKETS auto buckets over numeric values
+ * - checkbox: true/false counts (false includes listings without the attribute)
+ * - types, regions, cities: counts per listing type and Region/City (with slug and label)
+ *
+ * @param {{ match: object, attributeConditions: { filter: object, condition: object }[], filters: object[] }} params
+ *   filters: filters applicable to the selected category (getFiltersByCategory), [] when none
+ */
+export async function getListingFacets({ match, attributeConditions, filters }) {
+  const base = baseMatch(match, attributeConditions);
+  const allAttributes = attributeStages(attributeConditions, null);
+
+  const facets = {
+    total: [...allAttributes, { $count: 'count' }],
+    types: [...allAttributes, { $group: { _id: '$type', count: { $sum: 1 } } }],
+    regions: [...allAttributes, { $group: { _id: '$location.regionId', count: { $sum: 1 } } }],
+    cities: [...allAttributes, { $group: { _id: '$location.cityId', count: { $sum: 1 } } }],
+  };
+  const keys = filters.map((f, i) => `f${i}`);
+  filters.forEach((f, i) => Object.assign(facets, filterFacetPipelines(f, keys[i], attributeConditions)));
+
+  const [result] = await Listing.aggregate([{ $match: base }, { $facet: facets }]);
+  const byCountDesc = (a, b) => b.count - a.count;
+
+  // Listings not yet migrated to Region/City references have no ids and are left out of location counts
+  const regionIds = result.regions.map((r) => r._id).filter(Boolean);
+  const cityIds = result.cities.map((r) => r._id).filter(Boolean);
+  const [regions, cities] = await Promise.all([
+    regionIds.length > 0 ? Region.find({ _id: { $in: regionIds } }).lean() : [],
+    cityIds.length > 0 ? City.find({ _id: { $in: cityIds } }).lean() : [],
+  ]);
+  const regionById = new Map(regions.map((r) => [r._id.toString(), r]));
+  const cityById = new Map(cities.map((c) => [c._id.toString(), c]));
+
+  return {
+    total: result.total[0]?.count || 0,
+    filters: filters.map((f, i) => toFilterFacet(f, keys[i], result)).filter(Boolean),
+    types: result.types.map((r) => ({ value: r._id, count: r.count })).sort(byCountDesc),
+    regions: result.regions
+      .filter((r) => r._id && regionById.has(r._id.toString()))
+      .map((r) => {
+        const region = regionById.get(r._id.toString());
+        return { id: region._id.toString(), slug: region.slug, label: region.label, count: r.count };
+      })
+      .sort(byCountDesc),
+    cities: result.cities
+      .filter((r) => r._id && cityById.has(r._id.toString()))
+      .map((r) => {
+        const city = cityById.get(r._id.toString());
+        return {
+          id: city._id.toString(),
+          slug: city.slug,
+          label: city.label,
+          regionId: city.regionId.toString(),
+          count: r.count,
+        };
+      })
+      .sort(byCountDesc),
+  };
+}
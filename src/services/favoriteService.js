@@ -0,0 +1,64 @@
+import { Favorite } from '../models/Favorite.js';
+import { Listing } from '../models/Listing.js';
+import { isListingPublic } from './listingVisibility.js';
+
+/**
+ * Saves a listing for a user. Idempotent: Listing.saves is incremented only when the favorite is
+ * actually inserted (the unique index decides, so concurrent requests cannot double count).
+ * @returns {Promise<boolean>} true when newly saved
+ */
+export async function addFavorite(userId, listingId) {
+  try {
+    await Favorite.create({ userId, listingId });
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+  await Listing.updateOne({ _id: listingId }, { $inc: { saves: 1 } });
+  return true;
+}
+
+/**
+ * Removes a saved listing. Idempotent: Listing.saves is decremented only when a favorite was deleted.
+ * @returns {Promise<boolean>} true when a favorite was removed
+ */
+export async function removeFavorite(userId, listingId) {
+  const removed = await Favorite.findOneAndDelete({ userId, listingId });
+  if (!removed) return false;
+  await Listing.updateOne({ _id: listingId, saves: { $gt: 0 } }, { $inc: { saves: -1 } });
+  return true;
+}
+
+/**
+ * Ids (strings) of the given listings the user has saved.
+ * @param {{ _id: unknown } | null | undefined} user
+ * @param {unknown[]} listingIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function getSavedListingIds(user, listingIds) {
+  if (!user || listingIds.length === 0) return new Set();
+  const favorites = await Favorite.find({ userId: user._id, listingId: { $in: listingIds } }, { listingId: 1 }).lean();
+  return new Set(favorites.map((f) => f.listingId.toString()));
+}
+
+/**
+ * Sets isSaved on listing JSON objects (from toListingJson) for the current user; false for anonymous viewers.
+ * @param {{ id: string, isSaved?: boolean }[]} items
+ * @param {{ _id: unknown } | null | undefined} user
+ */
+export async function annotateSaved(items, user) {
+  const saved = await getSavedListingIds(user, items.map((i) => i.id));
+  for (const item of items) item.isSaved = saved.has(item.id);
+  return items;
+}
+
+/**
+ * Why a saved listing can no longer be bought or rented, or null if it is available.
+ * @param {object | null} listing - null when the listing was purged
+ * @returns {'deleted' | 'hidden' | 'sold' | 'rented' | 'expired' | null}
+ */
+export function getFavoriteUnavailableReason(listing) {
+  if (!listing || listing.deletedAt) return 'deleted';
+  if (!isListingPublic(listing)) return 'hidden';
+  return listing.status === 'active' ? null : listing.status;
+}
@@ -1,11 +1,18 @@
+import mongoose from 'mongoose';
 import { Category } from '../models/Category.js';
 import { Filter } from '../models/Filter.js';
+import {
+  matchFilterOption,
+  parseFilterBoolean,
+  parseFilterNumber,
+} from '../utils/filterValues.js';
 
 /**
  * Returns filters applicable to the given category:
  * - filters where categoryId equals the selected category, or
  * - filters where categoryId is in the category's path and applyToChildren is true.
  * Only active filters, sorted by sortOrder.
+ * Also drives attribute filtering and facet counts on GET /products (listingQueryService, facetService);
  * ElasticSearch-ready: same logic can be applied when building filter facets from indexed listings.
  *
  * @param {import('mongoose').Types.ObjectId|string} categoryId
@@ -32,3 +39,98 @@ export async function getFiltersByCategory(categoryId) {
 
   return filters;
 }
+
+const MAX_TEXT_ATTRIBUTE_LENGTH = 500;
+
+/**
+ * Converts one attribute value to its filter's type.
+ * @returns {{ value?: unknown, error?: string }}
+ */
+function coerceAttributeValue(filter, raw) {
+  if (filter.type === 'select') {
+    const option = matchFilterOption(filter.options, typeof raw === 'number' ? String(raw) : raw);
+    return option === undefined
+      ? { error: `${filter.name} must be one of: ${(filter.options || []).join(', ')}` }
+      : { value: option };
+  }
+  if (filter.type === 'range' || filter.type === 'number') {
+    const n = parseFilterNumber(raw);
+    return n === undefined ? { error: `${filter.name} must be a number` } : { value: n };
+  }
+  if (filter.type === 'checkbox') {
+    const b = parseFilterBoolean(raw);
+    return b === undefined ? { error: `${filter.name} must be true or false` } : { value: b };
+  }
+  if (filter.type === 'text') {
+    if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${filter.name} must be text` };
+    const text = String(raw).trim();
+    if (text.length > MAX_TEXT_ATTRIBUTE_LENGTH) {
+      return { error: `${filter.name} cannot exceed ${MAX_TEXT_ATTRIBUTE_LENGTH} characters` };
+    }
+    return { value: text };
+  }
+  return { error: `${filter.name} has unsupported type ${filter.type}` };
+}
+
+function isEmptyAttributeValue(v) {
+  return v === undefined || v === null || (typeof v === 'string' && !v.trim());
+}
+
+/**
+ * Validates listing attributes against the filters that apply to the category (getFiltersByCategory):
+ * each filterId must belong to the category, values must fit the filter type (select options,
+ * numeric range/number, boolean checkbox) and isRequired filters must be present.
+ * Empty values are treated as not set.
+ *
+ * @param {import('mongoose').Types.ObjectId|string|null|undefined} categoryId
+ * @param {unknown} input - body.attributes ([{ filterId, value }])
+ * @returns {Promise<{ attributes: { filterId: import('mongoose').Types.ObjectId, value: unknown }[], errors: Record<string, string> | null }>}
+ *   attributes hold type-converted values; errors are keyed by filter slug (or filterId/'attributes' when unknown)
+ */
+export async function validateListingAttributes(categoryId, input) {
+  if (input !== undefined && input !== null && !Array.isArray(input)) {
+    return { attributes: [], errors: { attributes: 'Attributes must be an array of { filterId, value }' } };
+  }
+  const items = (input || []).filter((a) => a && !isEmptyAttributeValue(a.value));
+  if (!categoryId) {
+    return items.length > 0
+      ? { attributes: [], errors: { attributes: 'Attributes require a categoryId' } }
+      : { attributes: [], errors: null };
+  }
+
+  const filters = await getFiltersByCategory(categoryId);
+  if (filters === null) {
+    return { attributes: [], errors: { categoryId: 'Category not found' } };
+  }
+  const byId = new Map(filters.map((f) => [f._id.toString(), f]));
+
+  const errors = {};
+  const attributes = [];
+  const seen = new Set();
+  for (const item of items) {
+    const id = item.filterId ? String(item.filterId) : '';
+    const filter = byId.get(id);
+    if (!filter) {
+      const known = mongoose.isValidObjectId(id) ? await Filter.findById(id, { slug: 1 }).lean() : null;
+      errors[known ? known.slug : id || 'attributes'] = known
+        ? 'Filter does not apply to this category'
+        : 'Unknown filter';
+      continue;
+    }
+    if (seen.has(id)) {
+      errors[filter.slug] = `${filter.name} is set more than once`;
+      continue;
+    }
+    seen.add(id);
+    const { value, error } = coerceAttributeValue(filter, item.value);
+    if (error) errors[filter.slug] = error;
+    else attributes.push({ filterId: filter._id, value });
+  }
+  for (const filter of filters) {
+    if (filter.isRequired && !seen.has(filter._id.toString()) && !errors[filter.slug]) {
+      errors[filter.slug] = `${filter.name} is required`;
+    }
+  }
+
+  return { attributes, errors: Object.keys(errors).length > 0 ? errors : null };
+}
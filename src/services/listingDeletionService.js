@@ -0,0 +1,112 @@
+import { config } from '../config.js';
+import { deleteProductImages } from '../lib/r2.js';
+import { AvailabilityBlock } from '../models/AvailabilityBlock.js';
+import { BookingRequest } from '../models/BookingRequest.js';
+import { Conversation } from '../models/Conversation.js';
+import { Favorite } from '../models/Favorite.js';
+import { Listing } from '../models/Listing.js';
+import { ListingViewDaily } from '../models/ListingViewDaily.js';
+import { ListingViewMark } from '../models/ListingViewMark.js';
+import { Report } from '../models/Report.js';
+import { SavedSearchMatch } from '../models/SavedSearchMatch.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 50;
+
+// Rows that only describe one listing and are removed with it
+const PER_LISTING_MODELS = [
+  ListingViewMark,
+  ListingViewDaily,
+  SavedSearchMatch,
+  Favorite,
+  AvailabilityBlock,
+  BookingRequest,
+  Report,
+];
+
+/**
+ * When a deleted listing stops being restorable (and becomes due for purging).
+ * @param {{ deletedAt?: Date | null }} listing
+ * @returns {Date | null}
+ */
+export function getRestorableUntil(listing) {
+  if (!listing.deletedAt) return null;
+  return new Date(new Date(listing.deletedAt).getTime() + config.deletedListings.graceDays * DAY_MS);
+}
+
+/**
+ * Soft-deletes a listing document: it disappears from every public query right away.
+ * @param {{ _id: unknown }} listing
+ * @param {{ _id: unknown }} user - who deleted it (owners may only restore their own deletions)
+ */
+export async function softDeleteListing(listing, user) {
+  const deletedAt = new Date();
+  await Listing.updateOne({ _id: listing._id }, { $set: { deletedAt, deletedBy: user._id } });
+  listing.deletedAt = deletedAt;
+  listing.deletedBy = user._id;
+  return listing;
+}
+
+/**
+ * Clears deletedAt if the grace period has not ended. Once it has, only the purge job touches the listing.
+ * @returns {Promise<{ listing?: object, error?: string }>}
+ */
+export async function restoreListing(listing, now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.deletedListings.graceDays * DAY_MS);
+  const restored = await Listing.findOneAndUpdate(
+    { _id: listing._id, deletedAt: { $ne: null, $gt: cutoff } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true }
+  ).lean();
+  if (!restored) return { error: 'The restore period for this listing has ended' };
+  return { listing: restored };
+}
+
+/**
+ * Removes the rows that reference a listing about to be purged. Conversations stay with both participants:
+ * they keep their listing snapshot (title, slug), minus the thumbnail whose image is deleted.
+ * Promotion orders and reviews are kept as history; their readers do not load the listing.
+ */
+async function removeListingReferences(listingId) {
+  for (const Model of PER_LISTING_MODELS) {
+    await Model.deleteMany({ listingId });
+  }
+  await Conversation.updateMany({ listingId }, { $set: { 'listing.thumbnail': '' } });
+}
+
+/**
+ * Permanently removes listings deleted more than config.deletedListings.graceDays ago, together with
+ * their stored images (products/{id}/ in R2) and the rows that reference them (removeListingReferences).
+ * A listing whose images cannot be removed is kept and retried on the next run.
+ * @returns {Promise<{ purged: number, failed: number }>}
+ */
+export async function purgeDeletedListings(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.deletedListings.graceDays * DAY_MS);
+  const listings = await Listing.find(
+    { deletedAt: { $ne: null, $lte: cutoff } },
+    { thumbnail: 1, images: 1 }
+  )
+    .sort({ deletedAt: 1 })
+    .limit(PURGE_BATCH_SIZE)
+    .lean();
+
+  let purged = 0;
+  let failed = 0;
+  for (const listing of listings) {
+    const id = listing._id.toString();
+    try {
+      if (listing.thumbnail || listing.images?.length) {
+        await deleteProductImages(id);
+      }
+    } catch (err) {
+      console.error(`Listing purge: failed to delete images of ${id}:`, err.message);
+      failed++;
+      continue;
+    }
+    // References go first: if the run stops in between, the listing is still due and is purged again
+    await removeListingReferences(listing._id);
+    const { deletedCount } = await Listing.deleteOne({ _id: listing._id });
+    purged += deletedCount;
+  }
+  return { purged, failed };
+}
@@ -0,0 +1,111 @@
+import { config } from '../config.js';
+import { Category } from '../models/Category.js';
+import { Listing } from '../models/Listing.js';
+import { notify } from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lifetime in days for a listing: the category's listingLifetimeDays[type], else the nearest ancestor's,
+ * else config.listingLifetimeDays[type].
+ * @param {{ type: 'sell' | 'rent', categoryId?: import('mongoose').Types.ObjectId | null }} listing
+ */
+export async function getListingLifetimeDays({ type, categoryId }) {
+  const fallback = config.listingLifetimeDays[type] || config.listingLifetimeDays.sell;
+  if (!categoryId) return fallback;
+  const category = await Category.findById(categoryId, { path: 1, listingLifetimeDays: 1 }).lean();
+  if (!category) return fallback;
+  if (category.listingLifetimeDays?.[type]) return category.listingLifetimeDays[type];
+
+  const ancestors = await Category.find({ _id: { $in: category.path || [] } }, { listingLifetimeDays: 1 }).lean();
+  const byId = new Map(ancestors.map((c) => [c._id.toString(), c]));
+  for (const id of [...(category.path || [])].reverse()) {
+    const days = byId.get(id.toString())?.listingLifetimeDays?.[type];
+    if (days) return days;
+  }
+  return fallback;
+}
+
+/**
+ * Expiry date for a listing (re)published at `from`.
+ * @param {{ type: 'sell' | 'rent', categoryId?: import('mongoose').Types.ObjectId | null }} listing
+ * @param {Date} [from]
+ */
+export async function computeListingExpiresAt(listing, from = new Date()) {
+  const days = await getListingLifetimeDays(listing);
+  return new Date(from.getTime() + days * DAY_MS);
+}
+
+/**
+ * Recomputes expiresAt after a listing's type or category changed, keeping the start of its current
+ * lifetime (last renewal, else creation). Does not save.
+ * @param {import('mongoose').Document} listing
+ */
+export async function recomputeListingExpiresAt(listing) {
+  const expiresAt = await computeListingExpiresAt(listing, listing.renewedAt || listing.createdAt || new Date());
+  if (listing.expiresAt?.getTime() !== expiresAt.getTime()) {
+    listing.expiresAt = expiresAt;
+    listing.expiryReminderSentAt = null;
+  }
+}
+
+/**
+ * Extends a listing by a full lifetime from now and reactivates it if it had expired.
+ * Only active or expired listings can be renewed.
+ * @param {import('mongoose').Document} listing
+ * @returns {Promise<{ listing?: import('mongoose').Document, error?: string }>}
+ */
+export async function renewListing(listing) {
+  if (listing.status !== 'active' && listing.status !== 'expired') {
+    return { error: `A ${listing.status} listing cannot be renewed` };
+  }
+  const now = new Date();
+  listing.expiresAt = await computeListingExpiresAt(listing, now);
+  listing.expiryReminderSentAt = null;
+  listing.renewedAt = now;
+  listing.status = 'active';
+  await listing.save();
+  return { listing };
+}
+
+/**
+ * Marks active listings whose expiresAt has passed as expired.
+ * @returns {Promise<number>} number of listings expired
+ */
+export async function expireListings(now = new Date()) {
+  const result = await Listing.updateMany(
+    { status: 'active', expiresAt: { $ne: null, $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Notifies owners of active listings expiring within config.expiryReminderDays (once per lifetime).
+ * @returns {Promise<number>} number of reminders sent
+ */
+export async function sendExpiryReminders(now = new Date()) {
+  const horizon = new Date(now.getTime() + config.expiryReminderDays * DAY_MS);
+  const listings = await Listing.find(
+    { status: 'active', expiresAt: { $gt: now, $lte: horizon }, expiryReminderSentAt: null, deletedAt: null },
+    { title: 1, slug: 1, ownerId: 1, expiresAt: 1 }
+  ).lean();
+
+  let sent = 0;
+  for (const listing of listings) {
+    // Claim the reminder first so a concurrent run cannot send it twice
+    const claimed = await Listing.updateOne(
+      { _id: listing._id, expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    await notify(listing.ownerId, {
+      type: 'listing.expiring',
+      title: `Your listing "${listing.title}" expires soon`,
+      body: `It will be unpublished on ${listing.expiresAt.toISOString().slice(0, 10)}. Renew it to keep it active.`,
+      data: { listingId: listing._id.toString(), slug: listing.slug, expiresAt: listing.expiresAt },
+    });
+    sent++;
+  }
+  return sent;
+}
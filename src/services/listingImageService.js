@@ -0,0 +1,76 @@
+import {
+  deleteProductImagesByUrl,
+  deleteProductThumbnail,
+  productImageKeyFromUrl,
+  regenerateProductThumbnail,
+} from '../lib/r2.js';
+
+function isUrlList(value) {
+  return Array.isArray(value) && value.every((u) => typeof u === 'string');
+}
+
+/**
+ * Validates an image update against the listing's current images.
+ * Body: { order?: url[], remove?: url[], cover?: url }. order lists every image that is kept, in the new
+ * order (default: current order without removed images); cover moves one kept image to the front.
+ * @param {string[]} current - listing.images
+ * @returns {{ images?: string[], removed?: string[], error?: string }}
+ */
+export function planImageUpdate(current, body) {
+  const { order, remove = [], cover } = body || {};
+  if (order !== undefined && !isUrlList(order)) return { error: 'order must be an array of image URLs' };
+  if (!isUrlList(remove)) return { error: 'remove must be an array of image URLs' };
+  if (cover !== undefined && cover !== null && typeof cover !== 'string') return { error: 'cover must be an image URL' };
+
+  const currentSet = new Set(current);
+  const unknown = [...(order || []), ...remove].find((url) => !currentSet.has(url));
+  if (unknown) return { error: `Image is not part of this listing: ${unknown}` };
+
+  const removed = [...new Set(remove)];
+  const removedSet = new Set(removed);
+  const kept = current.filter((url) => !removedSet.has(url));
+  let images = kept;
+  if (order !== undefined) {
+    if (order.some((url) => removedSet.has(url))) return { error: 'An image cannot be both kept and removed' };
+    if (new Set(order).size !== order.length || order.length !== kept.length) {
+      return { error: 'order must list every image that is not removed exactly once' };
+    }
+    images = order;
+  }
+  if (cover) {
+    if (!images.includes(cover)) return { error: 'cover must be one of the remaining images' };
+    images = [cover, ...images.filter((url) => url !== cover)];
+  }
+  return { images, removed };
+}
+
+/**
+ * Applies a planned image update to a listing document: rebuilds thumbnail.jpg when the cover (first
+ * image) changes, saves, then deletes removed objects from storage.
+ * @param {import('mongoose').Document} listing
+ * @param {{ images: string[], removed: string[] }} plan
+ */
+export async function applyImageUpdate(listing, { images, removed }) {
+  const productId = listing._id.toString();
+  const previousCover = listing.images?.[0];
+  const cover = images[0];
+  if (!cover) {
+    listing.thumbnail = undefined;
+  } else if (cover !== previousCover || !listing.thumbnail) {
+    // External (non-bucket) images are used as their own thumbnail
+    listing.thumbnail = productImageKeyFromUrl(productId, cover)
+      ? await regenerateProductThumbnail(productId, cover)
+      : cover;
+  }
+  listing.images = images;
+  await listing.save();
+
+  // The listing no longer references these objects, so a failed delete only leaves an orphan behind
+  try {
+    await deleteProductImagesByUrl(productId, removed);
+    if (!cover && removed.length > 0) await deleteProductThumbnail(productId);
+  } catch (err) {
+    console.error(`Listing ${productId} image cleanup error:`, err.message);
+  }
+  return listing;
+}
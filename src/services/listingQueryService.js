@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import { Category } from '../models/Category.js';
+import { getFiltersByCategory } from './filterService.js';
+import { normalizeSearchQuery } from '../utils/search.js';
+import { BASE_CURRENCY, convertPrice, getExchangeRates, resolveCurrency } from './currencyService.js';
+import { buildLocationMatch } from './locationService.js';
+import { publicListingMatch } from './listingVisibility.js';
+import {
+  matchFilterOption,
+  parseFilterNumber,
+  parseFilterBoolean,
+  parseFilterRange,
+} from '../utils/filterValues.js';
+
+const ATTRIBUTE_PARAM_PREFIX = 'f.';
+const MAX_TEXT_FILTER_LENGTH = 100;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolves the category attribute filters are scoped to: ?categoryId=... or, failing that, ?categorySlug=...
+ * @returns {Promise<{ category?: object, error?: string }>}
+ */
+export async function resolveFilterCategory(query) {
+  const { categoryId, categorySlug } = query;
+  if (categoryId) {
+    if (typeof categoryId !== 'string' || !mongoose.isValidObjectId(categoryId)) {
+      return { error: 'Invalid categoryId' };
+    }
+    const category = await Category.findById(categoryId).lean();
+    return category ? { category } : { error: 'Category not found' };
+  }
+  const slug = typeof categorySlug === 'string' ? categorySlug.trim().toLowerCase() : '';
+  if (!slug) return {};
+  const category = await Category.findOne({ slug, active: true }).lean();
+  return category ? { category } : { error: 'Category not found' };
+}
+
+/**
+ * Builds the Mongo condition for one attribute filter from its raw query value(s).
+ * @returns {{ condition?: object, error?: string }}
+ */
+function buildAttributeCondition(filter, raw) {
+  const param = `${ATTRIBUTE_PARAM_PREFIX}${filter.slug}`;
+  const values = (Array.isArray(raw) ? raw : [raw]).filter((v) => typeof v === 'string' && v.trim());
+  if (values.length === 0) {
+    return { error: `${param} must have a value` };
+  }
+  const elemMatch = (value) => ({ attributes: { $elemMatch: { filterId: filter._id, value } } });
+
+  if (filter.type === 'select') {
+    const selected = [];
+    for (const v of values) {
+      const option = matchFilterOption(filter.options, v);
+      if (option === undefined) {
+        return { error: `${param}: "${v}" is not an option (expected one of: ${(filter.options || []).join(', ')})` };
+      }
+      selected.push(option);
+    }
+    return { condition: elemMatch({ $in: selected }) };
+  }
+
+  if (values.length > 1) {
+    return { error: `${param} accepts a single value` };
+  }
+  const value = values[0];
+
+  if (filter.type === 'range' || filter.type === 'number') {
+    const range = parseFilterRange(value);
+    if (!range) {
+      return { error: `${param} must be a number or a range like 10..20, 10.. or ..20` };
+    }
+    const cond = {};
+    if (range.min !== undefined) cond.$gte = range.min;
+    if (range.max !== undefined) cond.$lte = range.max;
+    return { condition: elemMatch(cond) };
+  }
+
+  if (filter.type === 'checkbox') {
+    const checked = parseFilterBoolean(value);
+    if (checked === undefined) {
+      return { error: `${param} must be true or false` };
+    }
+    // Unchecked also covers listings that never set the attribute
+    return {
+      condition: checked
+        ? elemMatch(true)
+        : { attributes: { $not: { $elemMatch: { filterId: filter._id, value: true } } } },
+    };
+  }
+
+  if (filter.type === 'text') {
+    const text = value.trim();
+    if (text.length > MAX_TEXT_FILTER_LENGTH) {
+      return { error: `${param} cannot exceed ${MAX_TEXT_FILTER_LENGTH} characters` };
+    }
+    return { condition: elemMatch({ $regex: escapeRegExp(text), $options: 'i' }) };
+  }
+
+  return { error: `${param} has unsupported filter type ${filter.type}` };
+}
+
+/**
+ * Translates f.<slug>=... query params into listing attribute conditions, using the filters
+ * that apply to the selected category (see getFiltersByCategory).
+ * @returns {Promise<{ conditions: { filter: object, condition: object }[], filters: object[], error?: string }>}
+ */
+async function buildAttributeConditions(query) {
+  const params = Object.keys(query).filter((k) => k.startsWith(ATTRIBUTE_PARAM_PREFIX));
+  if (params.length === 0) return { conditions: [], filters: [] };
+
+  const { category, error } = await resolveFilterCategory(query);
+  if (error) return { conditions: [], filters: [], error };
+  if (!category) {
+    return { conditions: [], filters: [], error: 'Attribute filters (f.*) require categoryId or categorySlug' };
+  }
+
+  const filters = (await getFiltersByCategory(category._id)) || [];
+  const bySlug = new Map(filters.map((f) => [f.slug, f]));
+  const conditions = [];
+  const errors = [];
+  for (const param of params) {
+    const slug = param.slice(ATTRIBUTE_PARAM_PREFIX.length).toLowerCase();
+    const filter = bySlug.get(slug);
+    if (!filter) {
+      errors.push(`Unknown filter ${param} for category ${category.slug}.`);
+      continue;
+    }
+    const result = buildAttributeCondition(filter, query[param]);
+    if (result.error) errors.push(`${result.error}.`);
+    else conditions.push({ filter, condition: result.condition });
+  }
+  if (errors.length > 0) return { conditions: [], filters, error: errors.join(' ') };
+  return { conditions, filters };
+}
+
+/**
+ * minPrice/maxPrice are given in ?currency= (default GEL) and compared against Listing.priceGel.
+ * @returns {Promise<{ condition?: object, currency: string, error?: string }>}
+ */
+async function buildPriceCondition(query) {
+  const rates = await getExchangeRates();
+  const { currency, error } = resolveCurrency(query.currency, rates);
+  if (error) return { currency, error };
+
+  const bounds = {};
+  for (const [param, op] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') continue;
+    const n = parseFilterNumber(raw);
+    if (n === undefined || n < 0) return { currency, error: `${param} must be a non-negative number` };
+    bounds[op] = convertPrice(n, currency, BASE_CURRENCY, rates);
+  }
+  if (bounds.$gte !== undefined && bounds.$lte !== undefined && bounds.$gte > bounds.$lte) {
+    return { currency, error: 'minPrice cannot be greater than maxPrice' };
+  }
+  return { condition: Object.keys(bounds).length > 0 ? bounds : undefined, currency };
+}
+
+/**
+ * Builds the listing $match for GET /products from its query string. Only publicly visible listings
+ * match (see publicListingMatch).
+ * Supported: status, type, categoryId, categorySlug, q (keyword search), f.<filterSlug> (attribute
+ * filters; need categoryId or categorySlug), minPrice/maxPrice in currency (default GEL), regionSlug, citySlug.
+ *
+ * Attribute conditions are ANDed into match.$and and also returned separately, so facets can
+ * drop a filter's own condition when counting its options.
+ *
+ * @param {Record<string, unknown>} query - req.query
+ * @returns {Promise<{ match: object, q: string, currency: string, attributeConditions: { filter: object, condition: object }[], error?: string }>}
+ *   currency is the validated ?currency= (for converting response prices); error is a client error message (respond 400)
+ */
+export async function buildListingMatch(query) {
+  const { status, type, categoryId, categorySlug } = query;
+  const match = publicListingMatch();
+
+  if (status) match.status = status;
+  if (type) match.type = type;
+  if (categoryId) {
+    if (typeof categoryId !== 'string' || !mongoose.isValidObjectId(categoryId)) {
+      return { match, q: '', currency: BASE_CURRENCY, attributeConditions: [], error: 'Invalid categoryId' };
+    }
+    // Aggregation $match does not cast, so pass an ObjectId
+    match.categoryId = new mongoose.Types.ObjectId(categoryId);
+  }
+  if (categorySlug) {
+    const slug = typeof categorySlug === 'string' ? categorySlug.trim().toLowerCase() : '';
+    if (slug) match['category.slug'] = slug;
+  }
+  const q = normalizeSearchQuery(query.q);
+  if (q) match.$text = { $search: q };
+
+  const location = await buildLocationMatch(query);
+  if (location.error) return { match, q, currency: BASE_CURRENCY, attributeConditions: [], error: location.error };
+  Object.assign(match, location.match);
+
+  const price = await buildPriceCondition(query);
+  const { currency } = price;
+  if (price.error) return { match, q, currency, attributeConditions: [], error: price.error };
+  if (price.condition) match.priceGel = price.condition;
+
+  const attributes = await buildAttributeConditions(query);
+  if (attributes.error) return { match, q, currency, attributeConditions: [], error: attributes.error };
+  if (attributes.conditions.length > 0) {
+    match.$and = attributes.conditions.map((c) => c.condition);
+  }
+
+  return { match, q, currency, attributeConditions: attributes.conditions };
+}
@@ -0,0 +1,228 @@
+/**
+ * Listing response shape and list queries shared by the product, moderation and user routes.
+ */
+import { Listing } from '../models/Listing.js';
+import { getEffectivePromotionType, isPromotionActive } from '../utils/promotion.js';
+import { buildKeysetMatch, decodeCursor, encodeCursor } from '../utils/cursor.js';
+import { getUserDisplayName } from '../utils/userDisplay.js';
+import { convertPrice } from './currencyService.js';
+
+/**
+ * Image metadata in the order of images: one entry per image, null for images stored before
+ * responsive variants (clients then fall back to the plain URL).
+ */
+function toImageMetaJson(d) {
+  const metaByUrl = new Map((d.imageMeta || []).map((m) => [m.url, m]));
+  return (d.images || []).map((url) => {
+    const m = metaByUrl.get(url);
+    if (!m) return null;
+    return {
+      url: m.url,
+      width: m.width,
+      height: m.height,
+      dominantColor: m.dominantColor,
+      placeholder: m.placeholder,
+      variants: (m.variants || []).map((v) => ({ width: v.width, height: v.height, format: v.format, url: v.url })),
+    };
+  });
+}
+
+/**
+ * @param {object} doc - Listing document or lean object (ownerId may be populated)
+ * @param {{ currency: string, rates: Map<string, number> }} [display] - adds displayPrice converted into currency
+ */
+export function toListingJson(doc, display) {
+  const d = doc.toObject ? doc.toObject() : doc;
+  const ownerId = d.ownerId && typeof d.ownerId === 'object' && d.ownerId._id
+    ? d.ownerId._id.toString()
+    : d.ownerId?.toString();
+  let ownerName;
+  let ownerType;
+  let ownerRating;
+  if (d.ownerId && typeof d.ownerId === 'object') {
+    ownerType = d.ownerId.userType === 'business' ? 'business' : 'physical';
+    ownerName = getUserDisplayName(d.ownerId);
+    ownerRating = { average: d.ownerId.rating?.average ?? 0, count: d.ownerId.rating?.count ?? 0 };
+  }
+  const effectivePromotionType = getEffectivePromotionType(d);
+  const promotionActive = isPromotionActive(d);
+  return {
+    id: d._id.toString(),
+    _id: d._id.toString(),
+    title: d.title,
+    slug: d.slug,
+    description: d.description,
+    type: d.type,
+
+    category: d.category,
+    categoryId: d.categoryId?.toString(),
+    attributes: d.attributes || [],
+
+    price: d.price,
+    currency: d.currency,
+    displayPrice: display
+      ? { amount: convertPrice(d.price, d.currency, display.currency, display.rates), currency: display.currency }
+      : undefined,
+    priceType: d.priceType,
+    rentPeriod: d.rentPeriod,
+
+    images: d.images || [],
+    imageMeta: toImageMetaJson(d),
+    thumbnail: d.thumbnail,
+
+    specifications: d.specifications || {},
+    location: d.location
+      ? {
+          regionId: d.location.regionId?.toString(),
+          cityId: d.location.cityId?.toString(),
+          region: d.location.region,
+          city: d.location.city,
+        }
+      : d.location,
+
+    ownerId: ownerId || undefined,
+    ownerName: ownerName || undefined,
+    ownerType: ownerType || undefined,
+    ownerRating,
+    status: d.status,
+    moderationStatus: d.moderationStatus || 'approved',
+    moderationReason: d.moderationReason || undefined,
+    hiddenAt: d.hiddenAt || undefined,
+    hiddenReason: d.hiddenReason || undefined,
+    deletedAt: d.deletedAt || undefined,
+    expiresAt: d.expiresAt ?? null,
+
+    promotionType: effectivePromotionType,
+    promotionExpiresAt: promotionActive ? d.promotionExpiresAt ?? null : null,
+
+    views: d.views,
+    saves: d.saves,
+
+    seoTitle: d.seoTitle,
+    seoDescription: d.seoDescription,
+
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt,
+  };
+}
+
+/**
+ * Sort mode for a list query: 'price_asc' | 'price_desc' | 'relevance' (keyword search) | 'promotion'.
+ */
+function getSortMode({ textSearch = false, sort = null }) {
+  if (sort === 'price_asc' || sort === 'price_desc') return sort;
+  return textSearch ? 'relevance' : 'promotion';
+}
+
+/**
+ * Sort fields per mode, in order. Every mode ends with _id so the order is total (needed for cursors).
+ * @returns {[string, 1 | -1][]}
+ */
+function getSortSpec(mode) {
+  if (mode === 'price_asc' || mode === 'price_desc') {
+    return [['__priceMissing', 1], ['priceGel', mode === 'price_asc' ? 1 : -1], ['createdAt', -1], ['_id', -1]];
+  }
+  if (mode === 'relevance') {
+    return [['promotionRank', 1], ['__score', -1], ['createdAt', -1], ['_id', -1]];
+  }
+  return [['promotionRank', 1], ['createdAt', -1], ['_id', -1]];
+}
+
+/**
+ * $addFields stages computing the sort keys of a mode that are not stored on the listing.
+ */
+function sortKeyStages(mode) {
+  if (mode === 'price_asc' || mode === 'price_desc') {
+    return [{ $addFields: { __priceMissing: { $cond: [{ $eq: [{ $ifNull: ['$priceGel', null] }, null] }, 1, 0] } } }];
+  }
+  if (mode === 'relevance') return [{ $addFields: { __score: { $meta: 'textScore' } } }];
+  return [];
+}
+
+/** Loads listings by id, keeping the given order. */
+async function findListingsByOrderedIds(orderedIds, populateOwner) {
+  if (orderedIds.length === 0) return [];
+  const q = Listing.find({ _id: { $in: orderedIds } });
+  if (populateOwner) q.populate('ownerId', 'firstName lastName businessName userType rating');
+  const docs = await q.lean();
+  const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+  return orderedIds.map((id) => byId.get(id.toString())).filter(Boolean);
+}
+
+/**
+ * Listings ordered by promotion rank, then createdAt DESC.
+ * With textSearch (match contains $text), relevance orders listings within each promotion tier.
+ * sort 'price_asc' | 'price_desc' orders by normalized price (priceGel) instead; listings without one go last.
+ */
+export async function findListingsSortedByPromotion({
+  match,
+  skip = 0,
+  limit = 50,
+  populateOwner = true,
+  textSearch = false,
+  sort = null,
+}) {
+  const safeLimit = Math.min(Number(limit) || 50, 100);
+  const safeSkip = Math.max(Number(skip) || 0, 0);
+  const mode = getSortMode({ textSearch, sort });
+
+  const ids = await Listing.aggregate([
+    { $match: match },
+    ...sortKeyStages(mode),
+    { $sort: Object.fromEntries(getSortSpec(mode)) },
+    { $skip: safeSkip },
+    { $limit: safeLimit },
+    { $project: { _id: 1 } },
+  ]);
+
+  return findListingsByOrderedIds(ids.map((x) => x._id), populateOwner);
+}
+
+/**
+ * Keyset-paginated variant of findListingsSortedByPromotion (same ordering).
+ * The cursor encodes the sort mode and the last item's sort keys. Ranks are the stored promotionRank, so a
+ * listing whose promotion ends mid-browse moves to its new position once the expiry job has run.
+ * When every sort key is a stored field (the default promotion order), the keyset condition is part of the
+ * initial $match so the { status, promotionRank, createdAt, _id } index serves it.
+ *
+ * @param {{ cursor?: string }} params - cursor: nextCursor of the previous page; empty for the first page
+ * @returns {Promise<{ items: object[], nextCursor: string | null, total?: number, error?: string }>}
+ *   total is only counted for the first page
+ */
+export async function findListingsPage({ match, cursor, limit = 50, populateOwner = true, textSearch = false, sort = null }) {
+  const safeLimit = Math.min(Number(limit) || 50, 100);
+  const mode = getSortMode({ textSearch, sort });
+  const spec = getSortSpec(mode);
+
+  let after = null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || decoded.mode !== mode || decoded.values.length !== spec.length) {
+      return { items: [], nextCursor: null, total: 0, error: 'Invalid cursor' };
+    }
+    after = buildKeysetMatch(spec, decoded.values);
+  }
+
+  const storedKeys = spec.every(([field]) => !field.startsWith('__'));
+  const [rows, total] = await Promise.all([
+    Listing.aggregate([
+      { $match: after && storedKeys ? { $and: [match, after] } : match },
+      ...sortKeyStages(mode),
+      ...(after && !storedKeys ? [{ $match: after }] : []),
+      { $sort: Object.fromEntries(spec) },
+      { $limit: safeLimit + 1 },
+      { $project: Object.fromEntries(spec.map(([field]) => [field, 1])) },
+    ]),
+    cursor ? undefined : Listing.countDocuments(match),
+  ]);
+
+  const page = rows.slice(0, safeLimit);
+  const last = page[page.length - 1];
+  const nextCursor =
+    rows.length > safeLimit && last
+      ? encodeCursor({ mode, values: spec.map(([field]) => last[field] ?? null) })
+      : null;
+  const items = await findListingsByOrderedIds(page.map((x) => x._id), populateOwner);
+  return { items, nextCursor, total };
+}
+
@@ -0,0 +1,27 @@
+/**
+ * Conditions a listing must meet to be shown publicly (lists, facets, detail pages).
+ * Owners and staff can still load hidden listings through their own routes.
+ */
+
+/**
+ * $match for publicly visible listings. Returns a fresh object each call.
+ * moderationStatus: pending/rejected are hidden; listings created before moderation have none and stay visible.
+ * hiddenAt: set when hidden after abuse reports or owner suspension (null/missing = visible).
+ * deletedAt: set on soft-deleted listings awaiting purge.
+ */
+export function publicListingMatch() {
+  return { moderationStatus: { $nin: ['pending', 'rejected'] }, hiddenAt: null, deletedAt: null };
+}
+
+/**
+ * Same rules as publicListingMatch for an already loaded listing.
+ * @param {{ moderationStatus?: string, hiddenAt?: Date | null, deletedAt?: Date | null }} listing
+ */
+export function isListingPublic(listing) {
+  return (
+    listing?.moderationStatus !== 'pending' &&
+    listing?.moderationStatus !== 'rejected' &&
+    !listing?.hiddenAt &&
+    !listing?.deletedAt
+  );
+}
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { Region } from '../models/Region.js';
+import { City } from '../models/City.js';
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds a region by id, or by slug / label (case-insensitive) for clients still sending strings.
+ */
+async function findRegion({ regionId, region }) {
+  if (regionId) {
+    return mongoose.isValidObjectId(regionId) ? Region.findById(regionId).lean() : null;
+  }
+  if (typeof region !== 'string' || !region.trim()) return null;
+  const value = region.trim();
+  return Region.findOne({
+    $or: [{ slug: value.toLowerCase() }, { label: new RegExp(`^${escapeRegExp(value)}$`, 'i') }],
+  }).lean();
+}
+
+/**
+ * Finds a city of the given region by id, or by slug / label (case-insensitive).
+ */
+async function findCity(regionDoc, { cityId, city }) {
+  if (cityId) {
+    return mongoose.isValidObjectId(cityId) ? City.findById(cityId).lean() : null;
+  }
+  if (typeof city !== 'string' || !city.trim()) return null;
+  const value = city.trim();
+  return City.findOne({
+    regionId: regionDoc._id,
+    $or: [{ slug: value.toLowerCase() }, { label: new RegExp(`^${escapeRegExp(value)}$`, 'i') }],
+  }).lean();
+}
+
+/**
+ * Validates a listing location payload against the Region/City collections.
+ * Accepts { regionId, cityId } (preferred) or { region, city } as slug or label.
+ * The city must belong to the region.
+ *
+ * @param {unknown} input - body.location
+ * @returns {Promise<{ location?: { regionId: import('mongoose').Types.ObjectId, cityId: import('mongoose').Types.ObjectId, region: string, city: string }, error?: string }>}
+ *   location stores ids plus the current labels (denormalized for display and search)
+ */
+export async function resolveListingLocation(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Location with region and city is required' };
+  }
+  if (!(input.regionId || input.region) || !(input.cityId || input.city)) {
+    return { error: 'Location with region and city is required' };
+  }
+  const region = await findRegion(input);
+  if (!region) return { error: 'Region not found' };
+  const city = await findCity(region, input);
+  if (!city) return { error: 'City not found' };
+  if (city.regionId.toString() !== region._id.toString()) {
+    return { error: 'City does not belong to the selected region' };
+  }
+  return {
+    location: { regionId: region._id, cityId: city._id, region: region.label, city: city.label },
+  };
+}
+
+/**
+ * Builds the $match part for ?regionSlug= and ?citySlug= on GET /products.
+ * City slugs are unique per region only, so citySlug without regionSlug matches every city with that slug.
+ * @returns {Promise<{ match: object, error?: string }>}
+ */
+export async function buildLocationMatch({ regionSlug, citySlug }) {
+  const match = {};
+  const rSlug = typeof regionSlug === 'string' ? regionSlug.trim().toLowerCase() : '';
+  const cSlug = typeof citySlug === 'string' ? citySlug.trim().toLowerCase() : '';
+
+  let region = null;
+  if (rSlug) {
+    region = await Region.findOne({ slug: rSlug }).lean();
+    if (!region) return { match, error: `Unknown regionSlug ${rSlug}` };
+    match['location.regionId'] = region._id;
+  }
+  if (cSlug) {
+    const cities = await City.find(region ? { regionId: region._id, slug: cSlug } : { slug: cSlug }).lean();
+    if (cities.length === 0) return { match, error: `Unknown citySlug ${cSlug}` };
+    match['location.cityId'] = cities.length === 1 ? cities[0]._id : { $in: cities.map((c) => c._id) };
+  }
+  return { match };
+}
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { UserBlock } from '../models/UserBlock.js';
+import { getUserDisplayName } from '../utils/userDisplay.js';
+
+const PREVIEW_LENGTH = 140;
+
+function idOf(value) {
+  return (value?._id || value)?.toString();
+}
+
+/**
+ * 'seller' or 'buyer' for a participant of the conversation, null for anyone else.
+ */
+export function getConversationRole(conversation, userId) {
+  const id = userId?.toString();
+  if (idOf(conversation.sellerId) === id) return 'seller';
+  if (idOf(conversation.buyerId) === id) return 'buyer';
+  return null;
+}
+
+/**
+ * True when either user has blocked the other.
+ */
+export async function isBlockedBetween(userA, userB) {
+  const found = await UserBlock.exists({
+    $or: [
+      { blockerId: userA, blockedId: userB },
+      { blockerId: userB, blockedId: userA },
+    ],
+  });
+  return Boolean(found);
+}
+
+/**
+ * Ids (strings) of users the given user has blocked.
+ * @returns {Promise<Set<string>>}
+ */
+export async function getBlockedUserIds(userId) {
+  const blocks = await UserBlock.find({ blockerId: userId }, { blockedId: 1 }).lean();
+  return new Set(blocks.map((b) => b.blockedId.toString()));
+}
+
+/**
+ * Adds a message to a conversation and counts it as unread for the other participant.
+ * @returns {Promise<{ message?: import('mongoose').Document, error?: string }>}
+ */
+export async function sendMessage(conversation, senderId, text) {
+  const role = getConversationRole(conversation, senderId);
+  if (!role) return { error: 'You are not part of this conversation' };
+  const recipientId = role === 'seller' ? idOf(conversation.buyerId) : idOf(conversation.sellerId);
+  if (await isBlockedBetween(senderId, recipientId)) {
+    return { error: 'Messages between you and this user are blocked' };
+  }
+
+  const message = await Message.create({ conversationId: conversation._id, senderId, text });
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: { text: message.text.slice(0, PREVIEW_LENGTH), senderId },
+        lastMessageAt: message.createdAt,
+      },
+      $inc: { [role === 'seller' ? 'buyerUnread' : 'sellerUnread']: 1 },
+    }
+  );
+  return { message };
+}
+
+/**
+ * Finds or creates the buyer's thread about a listing, then sends the first (or next) message.
+ * @param {{ _id: unknown, ownerId: unknown, title: string, slug: string, thumbnail?: string }} listing
+ * @returns {Promise<{ conversation?: object, message?: import('mongoose').Document, error?: string }>}
+ */
+export async function startConversation(listing, buyerId, text) {
+  const sellerId = idOf(listing.ownerId);
+  if (sellerId === buyerId.toString()) return { error: 'You cannot message yourself about your own listing' };
+  // Checked before the upsert so a blocked buyer cannot open a (then empty) thread on the seller's inbox
+  if (await isBlockedBetween(buyerId, sellerId)) {
+    return { error: 'Messages between you and this user are blocked' };
+  }
+
+  let conversation;
+  try {
+    conversation = await Conversation.findOneAndUpdate(
+      { listingId: listing._id, buyerId },
+      {
+        $setOnInsert: {
+          sellerId,
+          listing: { title: listing.title, slug: listing.slug, thumbnail: listing.thumbnail || '' },
+          lastMessageAt: new Date(),
+        },
+      },
+      { new: true, upsert: true }
+    ).lean();
+  } catch (err) {
+    // Two concurrent first messages: the other request created the thread
+    if (err.code !== 11000) throw err;
+    conversation = await Conversation.findOne({ listingId: listing._id, buyerId }).lean();
+  }
+  const { message, error } = await sendMessage(conversation, buyerId, text);
+  if (error) return { error };
+  return { conversation, message };
+}
+
+/**
+ * Clears the caller's unread count.
+ */
+export async function markConversationRead(conversation, userId) {
+  const role = getConversationRole(conversation, userId);
+  if (!role) return;
+  await Conversation.updateOne({ _id: conversation._id }, { $set: { [`${role}Unread`]: 0 } });
+}
+
+/**
+ * Total unread messages across the user's conversations.
+ */
+export async function getUnreadTotal(userId) {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+  const [row] = await Conversation.aggregate([
+    { $match: { $or: [{ sellerId: id }, { buyerId: id }] } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $cond: [{ $eq: ['$sellerId', id] }, '$sellerUnread', '$buyerUnread'] } },
+      },
+    },
+  ]);
+  return row?.total || 0;
+}
+
+export function toMessageJson(m) {
+  return {
+    id: m._id.toString(),
+    conversationId: m.conversationId.toString(),
+    senderId: m.senderId.toString(),
+    text: m.text,
+    createdAt: m.createdAt,
+  };
+}
+
+/**
+ * Conversation from the viewer's side. sellerId/buyerId may be populated (name fields) to fill otherUser.
+ * @param {object} c - lean conversation
+ * @param {unknown} viewerId
+ * @param {Set<string>} [blockedIds] - users the viewer has blocked
+ */
+export function toConversationJson(c, viewerId, blockedIds = new Set()) {
+  const role = getConversationRole(c, viewerId);
+  const other = role === 'seller' ? c.buyerId : c.sellerId;
+  const otherId = idOf(other);
+  return {
+    id: c._id.toString(),
+    listingId: c.listingId.toString(),
+    listing: {
+      id: c.listingId.toString(),
+      title: c.listing?.title || '',
+      slug: c.listing?.slug || '',
+      thumbnail: c.listing?.thumbnail || undefined,
+    },
+    role,
+    otherUser: {
+      id: otherId,
+      name: other && typeof other === 'object' && other._id ? getUserDisplayName(other) : undefined,
+    },
+    lastMessage: c.lastMessage?.senderId
+      ? { text: c.lastMessage.text, senderId: c.lastMessage.senderId.toString() }
+      : null,
+    lastMessageAt: c.lastMessageAt,
+    unreadCount: role === 'seller' ? c.sellerUnread || 0 : c.buyerUnread || 0,
+    blocked: blockedIds.has(otherId),
+    createdAt: c.createdAt,
+  };
+}
@@ -0,0 +1,54 @@
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { hasPermission } from '../utils/roles.js';
+import { recordAuditEvent } from './auditService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trusted sellers publish without review: staff with listings:moderate, or accounts at least
+ * trustedMinAccountAgeDays old with trustedMinApprovedListings approved listings.
+ * @param {{ _id: unknown, role?: string, createdAt?: Date | string }} user
+ */
+export async function isTrustedSeller(user) {
+  if (hasPermission(user, 'listings:moderate')) return true;
+  const { trustedMinApprovedListings, trustedMinAccountAgeDays } = config.moderation;
+  const createdAt = user?.createdAt ? new Date(user.createdAt).getTime() : Date.now();
+  if (Date.now() - createdAt < trustedMinAccountAgeDays * DAY_MS) return false;
+  const approved = await Listing.countDocuments({
+    ownerId: user._id,
+    moderationStatus: { $nin: ['pending', 'rejected'] },
+  });
+  return approved >= trustedMinApprovedListings;
+}
+
+/**
+ * @returns {Promise<'approved' | 'pending'>}
+ */
+export async function getInitialModerationStatus(user) {
+  return (await isTrustedSeller(user)) ? 'approved' : 'pending';
+}
+
+/**
+ * Sets the review decision on a listing document and records it in the audit log.
+ * @param {import('mongoose').Document} listing
+ * @param {object} moderator - req.user
+ * @param {'approved' | 'rejected'} decision
+ * @param {string} [reason] - shown to the seller; required for rejections by the route
+ */
+export async function moderateListing(listing, moderator, decision, reason = '') {
+  listing.moderationStatus = decision;
+  listing.moderationReason = reason;
+  listing.moderatedAt = new Date();
+  listing.moderatedBy = moderator._id;
+  await listing.save();
+  await recordAuditEvent({
+    actor: moderator,
+    action: decision === 'approved' ? 'listing.approve' : 'listing.reject',
+    targetType: 'Listing',
+    targetId: listing._id,
+    ownerId: listing.ownerId,
+    details: reason ? { reason } : {},
+  });
+  return listing;
+}
@@ -0,0 +1,45 @@
+import { sendEmail } from '../lib/mailer.js';
+import { notify } from './notificationService.js';
+
+/**
+ * Delivery channels for user notifications. Each channel takes the recipient (User document with
+ * at least _id and email) and a notification { type, title, body, data, emailText? }.
+ * To add a channel (push, SMS, ...), add an entry here.
+ */
+const CHANNELS = {
+  inApp: async (user, notification) => {
+    await notify(user._id, notification);
+  },
+  email: async (user, notification) => {
+    if (!user.email) return;
+    await sendEmail({
+      to: user.email,
+      subject: notification.title,
+      text: notification.emailText || notification.body || notification.title,
+    });
+  },
+};
+
+export const NOTIFICATION_CHANNELS = Object.keys(CHANNELS);
+
+/**
+ * Delivers a notification on each channel. A failing channel is logged and does not stop the others.
+ * @param {{ _id: unknown, email?: string }} user
+ * @param {{ type: string, title: string, body?: string, data?: object, emailText?: string }} notification
+ * @param {string[]} channels
+ * @returns {Promise<string[]>} channels that delivered
+ */
+export async function deliverNotification(user, notification, channels) {
+  const delivered = [];
+  for (const name of channels) {
+    const channel = CHANNELS[name];
+    if (!channel) continue;
+    try {
+      await channel(user, notification);
+      delivered.push(name);
+    } catch (err) {
+      console.error(`Notification channel ${name} failed:`, err);
+    }
+  }
+  return delivered;
+}
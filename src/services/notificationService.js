@@ -0,0 +1,23 @@
+import { Notification } from '../models/Notification.js';
+
+/**
+ * Creates an in-app notification for a user.
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @param {{ type: string, title: string, body?: string, data?: object }} notification
+ */
+export async function notify(userId, { type, title, body = '', data = {} }) {
+  return Notification.create({ userId, type, title, body, data });
+}
+
+export function toNotificationJson(n) {
+  return {
+    id: n._id.toString(),
+    type: n.type,
+    title: n.title,
+    body: n.body || '',
+    data: n.data || {},
+    read: Boolean(n.readAt),
+    readAt: n.readAt,
+    createdAt: n.createdAt,
+  };
+}
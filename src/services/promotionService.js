@@ -0,0 +1,216 @@
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { PromotionOrder } from '../models/PromotionOrder.js';
+import { getEffectivePromotionType, promotionTypeRank } from '../utils/promotion.js';
+import { isListingPublic } from './listingVisibility.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function toPackageJson(p) {
+  return {
+    id: p._id.toString(),
+    code: p.code,
+    name: p.name,
+    promotionType: p.promotionType,
+    durationDays: p.durationDays,
+    price: p.price,
+    currency: p.currency,
+    isActive: p.isActive,
+    order: p.order ?? 0,
+  };
+}
+
+export function toOrderJson(o) {
+  return {
+    id: o._id.toString(),
+    listingId: (o.listingId?._id || o.listingId)?.toString(),
+    userId: (o.userId?._id || o.userId)?.toString(),
+    packageId: o.packageId?.toString() ?? null,
+    promotionType: o.promotionType,
+    durationDays: o.durationDays,
+    price: o.price,
+    currency: o.currency,
+    status: o.status,
+    startsAt: o.startsAt,
+    endsAt: o.endsAt,
+    paidAt: o.paidAt,
+    note: o.note || undefined,
+    createdAt: o.createdAt,
+  };
+}
+
+/**
+ * Decides when a new promotion of `promotionType` would run on a listing, given its current promotion:
+ * - no active promotion: starts now
+ * - same type: extends, starting when the current one ends
+ * - higher type: upgrade, starts now and cuts the current one short
+ * - lower type: refused while the higher one runs (a listing shows one promotion at a time)
+ * The promotion may not end more than config.promotions.maxAheadDays from now.
+ * @param {{ promotionType?: string, promotionExpiresAt?: Date | null }} listing
+ * @param {string} promotionType
+ * @param {number} durationDays
+ * @returns {{ startsAt?: Date, endsAt?: Date, upgrade?: boolean, error?: string }}
+ */
+export function planPromotion(listing, promotionType, durationDays, now = new Date()) {
+  const current = getEffectivePromotionType(listing);
+  let startsAt = now;
+  let upgrade = false;
+  if (current !== 'none') {
+    const currentRank = promotionTypeRank(current);
+    const nextRank = promotionTypeRank(promotionType);
+    if (nextRank > currentRank) {
+      return { error: `Listing already has an active ${current} promotion; ${promotionType} can be bought after it ends` };
+    }
+    if (nextRank === currentRank) {
+      startsAt = new Date(listing.promotionExpiresAt);
+    } else {
+      upgrade = true;
+    }
+  }
+  const endsAt = new Date(startsAt.getTime() + durationDays * DAY_MS);
+  if (endsAt.getTime() - now.getTime() > config.promotions.maxAheadDays * DAY_MS) {
+    return { error: `Promotions cannot be extended more than ${config.promotions.maxAheadDays} days ahead` };
+  }
+  return { startsAt, endsAt, upgrade };
+}
+
+/**
+ * Error message when a listing cannot be promoted, else null. Only published, active listings qualify.
+ */
+export function getPromotionEligibilityError(listing) {
+  if (listing.deletedAt) return 'A deleted listing cannot be promoted';
+  if (listing.status !== 'active') return `A ${listing.status} listing cannot be promoted`;
+  if (!isListingPublic(listing)) return 'Listing must be approved before it can be promoted';
+  return null;
+}
+
+/**
+ * Writes a planned promotion onto the listing and, on upgrade, ends the lower-tier orders now.
+ */
+async function applyPlan(listing, promotionType, plan, now) {
+  if (plan.upgrade) {
+    await PromotionOrder.updateMany(
+      { listingId: listing._id, status: 'active', endsAt: { $gt: now } },
+      [
+        {
+          $set: {
+            status: 'superseded',
+            startsAt: { $min: ['$startsAt', now] },
+            endsAt: now,
+          },
+        },
+      ]
+    );
+  }
+  await Listing.updateOne(
+    { _id: listing._id },
+    { $set: { promotionType, promotionExpiresAt: plan.endsAt, promotionRank: promotionTypeRank(promotionType) } }
+  );
+  listing.promotionType = promotionType;
+  listing.promotionExpiresAt = plan.endsAt;
+  listing.promotionRank = promotionTypeRank(promotionType);
+}
+
+/**
+ * Creates a pending order for a package. Free packages are applied immediately.
+ * @returns {Promise<{ order?: import('mongoose').Document, error?: string }>}
+ */
+export async function createPromotionOrder({ listing, user, pkg }) {
+  const eligibilityError = getPromotionEligibilityError(listing);
+  if (eligibilityError) return { error: eligibilityError };
+  const now = new Date();
+  const plan = planPromotion(listing, pkg.promotionType, pkg.durationDays, now);
+  if (plan.error) return { error: plan.error };
+
+  const order = await PromotionOrder.create({
+    listingId: listing._id,
+    userId: user._id,
+    packageId: pkg._id,
+    promotionType: pkg.promotionType,
+    durationDays: pkg.durationDays,
+    price: pkg.price,
+    currency: pkg.currency,
+  });
+  if (pkg.price > 0) return { order };
+
+  order.status = 'active';
+  order.startsAt = plan.startsAt;
+  order.endsAt = plan.endsAt;
+  await applyPlan(listing, order.promotionType, plan, now);
+  await order.save();
+  return { order };
+}
+
+/**
+ * Marks a pending order as paid and applies it, re-planning against the listing's current promotion.
+ * @param {import('mongoose').Document} order
+ * @param {{ _id: unknown }} staff - user confirming the payment
+ * @returns {Promise<{ order?: import('mongoose').Document, error?: string }>}
+ */
+export async function confirmPromotionOrder(order, staff) {
+  if (order.status !== 'pending') return { error: `Order is ${order.status}` };
+  const listing = await Listing.findById(order.listingId);
+  if (!listing) return { error: 'Listing no longer exists' };
+  const eligibilityError = getPromotionEligibilityError(listing);
+  if (eligibilityError) return { error: eligibilityError };
+  const now = new Date();
+  const plan = planPromotion(listing, order.promotionType, order.durationDays, now);
+  if (plan.error) return { error: plan.error };
+
+  // Claim the order so a concurrent confirmation cannot apply it twice
+  const claimed = await PromotionOrder.findOneAndUpdate(
+    { _id: order._id, status: 'pending' },
+    { $set: { status: 'active', startsAt: plan.startsAt, endsAt: plan.endsAt, paidAt: now, processedBy: staff._id } },
+    { new: true }
+  );
+  if (!claimed) return { error: 'Order is no longer pending' };
+  await applyPlan(listing, claimed.promotionType, plan, now);
+  return { order: claimed };
+}
+
+/**
+ * Applies a promotion without payment (staff grant). Recorded as a zero-price order so it shows in history.
+ * @returns {Promise<{ order?: import('mongoose').Document, error?: string }>}
+ */
+export async function grantPromotion({ listing, staff, promotionType, durationDays, note = '' }) {
+  const eligibilityError = getPromotionEligibilityError(listing);
+  if (eligibilityError) return { error: eligibilityError };
+  const now = new Date();
+  const plan = planPromotion(listing, promotionType, durationDays, now);
+  if (plan.error) return { error: plan.error };
+
+  const order = await PromotionOrder.create({
+    listingId: listing._id,
+    userId: listing.ownerId,
+    promotionType,
+    durationDays,
+    price: 0,
+    status: 'active',
+    startsAt: plan.startsAt,
+    endsAt: plan.endsAt,
+    processedBy: staff._id,
+    note,
+  });
+  await applyPlan(listing, promotionType, plan, now);
+  return { order };
+}
+
+/**
+ * Resets listings whose promotion has ended to 'none' (and their promotionRank, which listing pages
+ * sort on) and completes their orders, so stored data matches getEffectivePromotionType.
+ * @returns {Promise<{ listings: number, orders: number }>}
+ */
+export async function expirePromotions(now = new Date()) {
+  const listings = await Listing.updateMany(
+    {
+      promotionType: { $ne: 'none' },
+      $or: [{ promotionExpiresAt: null }, { promotionExpiresAt: { $lte: now } }],
+    },
+    { $set: { promotionType: 'none', promotionExpiresAt: null, promotionRank: 3 } }
+  );
+  const orders = await PromotionOrder.updateMany(
+    { status: 'active', endsAt: { $lte: now } },
+    { $set: { status: 'completed' } }
+  );
+  return { listings: listings.modifiedCount, orders: orders.modifiedCount };
+}
@@ -0,0 +1,260 @@
+import { config } from '../config.js';
+import { AvailabilityBlock } from '../models/AvailabilityBlock.js';
+import { BookingRequest } from '../models/BookingRequest.js';
+import { alignRange, countPeriods, floorToPeriod } from '../utils/rentalPeriods.js';
+import { isListingPublic } from './listingVisibility.js';
+import { notify } from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(raw) {
+  if (typeof raw !== 'string' && typeof raw !== 'number') return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Parses { start, end } (ISO dates) for a rent listing and widens it to whole rentPeriods.
+ * The range may not start in a past period or end more than config.rentals.maxAdvanceDays ahead.
+ * @returns {{ start?: Date, end?: Date, periods?: number, error?: string }}
+ */
+export function parseRentalRange(body, listing, now = new Date()) {
+  const { utcOffsetMinutes, maxAdvanceDays } = config.rentals;
+  const rawStart = parseDate(body?.start);
+  const rawEnd = parseDate(body?.end);
+  if (!rawStart || !rawEnd) return { error: 'start and end must be valid dates' };
+  if (rawEnd.getTime() <= rawStart.getTime()) return { error: 'end must be after start' };
+
+  const { start, end } = alignRange(rawStart, rawEnd, listing.rentPeriod, utcOffsetMinutes);
+  if (start.getTime() < floorToPeriod(now, listing.rentPeriod, utcOffsetMinutes).getTime()) {
+    return { error: 'The range cannot start in the past' };
+  }
+  if (end.getTime() > now.getTime() + maxAdvanceDays * DAY_MS) {
+    return { error: `The range cannot end more than ${maxAdvanceDays} days ahead` };
+  }
+  return { start, end, periods: countPeriods(start, end, listing.rentPeriod, utcOffsetMinutes) };
+}
+
+function overlapFilter(listingId, start, end) {
+  return { listingId, start: { $lt: end }, end: { $gt: start } };
+}
+
+/**
+ * Inserts a block, then re-checks for overlapping blocks of the given kinds: when a concurrent request
+ * inserted a conflicting block first (smaller _id), this one is removed again.
+ * @returns {Promise<{ block?: import('mongoose').Document, error?: string }>}
+ */
+async function insertBlockChecked(data, conflictKinds) {
+  const block = await AvailabilityBlock.create(data);
+  const conflict = await AvailabilityBlock.exists({
+    ...overlapFilter(data.listingId, data.start, data.end),
+    kind: { $in: conflictKinds },
+    _id: { $lt: block._id },
+  });
+  if (conflict) {
+    await block.deleteOne();
+    return { error: 'These dates are no longer available' };
+  }
+  return { block };
+}
+
+/**
+ * Owner marks a range unavailable. Booked ranges cannot be blocked over.
+ */
+export async function createAvailabilityBlock(listing, { start, end }, note = '') {
+  const booked = await AvailabilityBlock.exists({ ...overlapFilter(listing._id, start, end), kind: 'booked' });
+  if (booked) return { error: 'The range overlaps a booking' };
+  return insertBlockChecked({ listingId: listing._id, start, end, kind: 'blocked', note }, ['booked']);
+}
+
+/**
+ * Unavailable ranges of a listing between from and to, sorted and merged (kinds are not exposed).
+ * @returns {Promise<{ start: Date, end: Date }[]>}
+ */
+export async function getUnavailableRanges(listingId, from, to) {
+  const blocks = await AvailabilityBlock.find(overlapFilter(listingId, from, to), { start: 1, end: 1 })
+    .sort({ start: 1 })
+    .lean();
+  const merged = [];
+  for (const b of blocks) {
+    const last = merged[merged.length - 1];
+    if (last && b.start.getTime() <= last.end.getTime()) {
+      if (b.end.getTime() > last.end.getTime()) last.end = b.end;
+    } else {
+      merged.push({ start: b.start, end: b.end });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Upcoming availability for public listing responses: the next config.rentals.publicAvailabilityDays.
+ * @param {{ _id: unknown, type: string, rentPeriod?: string }} listing
+ * @returns {Promise<{ rentPeriod: string, from: Date, to: Date, unavailable: { start: Date, end: Date }[] } | undefined>}
+ */
+export async function getUpcomingAvailability(listing, now = new Date()) {
+  if (listing.type !== 'rent' || !listing.rentPeriod) return undefined;
+  const from = floorToPeriod(now, listing.rentPeriod, config.rentals.utcOffsetMinutes);
+  const to = new Date(from.getTime() + config.rentals.publicAvailabilityDays * DAY_MS);
+  return { rentPeriod: listing.rentPeriod, from, to, unavailable: await getUnavailableRanges(listing._id, from, to) };
+}
+
+/**
+ * Renter asks to rent an active, published rent listing for an aligned range that is not blocked or booked.
+ * @returns {Promise<{ booking?: import('mongoose').Document, error?: string, status?: number }>}
+ */
+export async function createBookingRequest(listing, renterId, range, message = '') {
+  if (listing.type !== 'rent') return { error: 'Only rent listings can be booked', status: 400 };
+  if (listing.status !== 'active' || !isListingPublic(listing)) {
+    return { error: 'This listing is not available for booking', status: 409 };
+  }
+  if (listing.ownerId.toString() === renterId.toString()) {
+    return { error: 'You cannot book your own listing', status: 400 };
+  }
+  const taken = await AvailabilityBlock.exists(overlapFilter(listing._id, range.start, range.end));
+  if (taken) return { error: 'These dates are not available', status: 409 };
+
+  const booking = await BookingRequest.create({
+    listingId: listing._id,
+    ownerId: listing.ownerId,
+    renterId,
+    start: range.start,
+    end: range.end,
+    rentPeriod: listing.rentPeriod,
+    periods: range.periods,
+    message,
+  });
+  await notify(listing.ownerId, {
+    type: 'booking.requested',
+    title: `New booking request for "${listing.title}"`,
+    body: `${range.periods} ${listing.rentPeriod}(s) from ${range.start.toISOString()}`,
+    data: { bookingId: booking._id.toString(), listingId: listing._id.toString() },
+  });
+  return { booking };
+}
+
+/**
+ * Owner accepts a pending request: books the range and declines other pending requests that overlap it.
+ * @returns {Promise<{ booking?: object, error?: string }>}
+ */
+export async function acceptBookingRequest(booking, listing) {
+  const now = new Date();
+  if (booking.start.getTime() < floorToPeriod(now, booking.rentPeriod, config.rentals.utcOffsetMinutes).getTime()) {
+    return { error: 'This request starts in the past' };
+  }
+  const claimed = await BookingRequest.findOneAndUpdate(
+    { _id: booking._id, status: 'pending' },
+    { $set: { status: 'accepted', decidedAt: now } },
+    { new: true }
+  ).lean();
+  if (!claimed) return { error: 'Only pending requests can be accepted' };
+
+  const taken = await AvailabilityBlock.exists(overlapFilter(listing._id, claimed.start, claimed.end));
+  const { error } = taken
+    ? { error: 'These dates are no longer available' }
+    : await insertBlockChecked(
+        { listingId: listing._id, start: claimed.start, end: claimed.end, kind: 'booked', bookingId: claimed._id },
+        ['blocked', 'booked']
+      );
+  if (error) {
+    await BookingRequest.updateOne({ _id: claimed._id }, { $set: { status: 'pending', decidedAt: null } });
+    return { error };
+  }
+
+  const overlapping = await BookingRequest.find(
+    { ...overlapFilter(listing._id, claimed.start, claimed.end), status: 'pending', _id: { $ne: claimed._id } },
+    { renterId: 1 }
+  ).lean();
+  if (overlapping.length > 0) {
+    await BookingRequest.updateMany(
+      { _id: { $in: overlapping.map((b) => b._id) }, status: 'pending' },
+      { $set: { status: 'declined', decidedAt: now, declineReason: 'Dates were booked by another renter' } }
+    );
+  }
+  await notify(claimed.renterId, {
+    type: 'booking.accepted',
+    title: `Your booking for "${listing.title}" was accepted`,
+    data: { bookingId: claimed._id.toString(), listingId: listing._id.toString() },
+  });
+  for (const b of overlapping) {
+    await notify(b.renterId, {
+      type: 'booking.declined',
+      title: `Your booking for "${listing.title}" was declined`,
+      body: 'Dates were booked by another renter',
+      data: { bookingId: b._id.toString(), listingId: listing._id.toString() },
+    });
+  }
+  return { booking: claimed };
+}
+
+/**
+ * Owner declines a pending request.
+ */
+export async function declineBookingRequest(booking, listing, reason = '') {
+  const declined = await BookingRequest.findOneAndUpdate(
+    { _id: booking._id, status: 'pending' },
+    { $set: { status: 'declined', decidedAt: new Date(), declineReason: reason } },
+    { new: true }
+  ).lean();
+  if (!declined) return { error: 'Only pending requests can be declined' };
+  await notify(declined.renterId, {
+    type: 'booking.declined',
+    title: `Your booking for "${listing?.title || 'a listing'}" was declined`,
+    body: reason,
+    data: { bookingId: declined._id.toString(), listingId: declined.listingId.toString() },
+  });
+  return { booking: declined };
+}
+
+/**
+ * Renter cancels a pending request, or an accepted one that has not started; frees the booked range.
+ */
+export async function cancelBookingRequest(booking) {
+  const cancelled = await BookingRequest.findOneAndUpdate(
+    {
+      _id: booking._id,
+      $or: [{ status: 'pending' }, { status: 'accepted', start: { $gt: new Date() } }],
+    },
+    { $set: { status: 'cancelled', decidedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!cancelled) return { error: 'Only pending or upcoming accepted bookings can be cancelled' };
+  await AvailabilityBlock.deleteMany({ bookingId: cancelled._id });
+  if (booking.status === 'accepted') {
+    await notify(cancelled.ownerId, {
+      type: 'booking.cancelled',
+      title: 'A renter cancelled an accepted booking',
+      data: { bookingId: cancelled._id.toString(), listingId: cancelled.listingId.toString() },
+    });
+  }
+  return { booking: cancelled };
+}
+
+export function toBlockJson(b) {
+  return {
+    id: b._id.toString(),
+    start: b.start,
+    end: b.end,
+    kind: b.kind,
+    bookingId: b.bookingId?.toString() ?? null,
+    note: b.note || undefined,
+  };
+}
+
+export function toBookingJson(b) {
+  return {
+    id: b._id.toString(),
+    listingId: (b.listingId?._id || b.listingId).toString(),
+    ownerId: b.ownerId.toString(),
+    renterId: (b.renterId?._id || b.renterId).toString(),
+    start: b.start,
+    end: b.end,
+    rentPeriod: b.rentPeriod,
+    periods: b.periods,
+    message: b.message || undefined,
+    status: b.status,
+    decidedAt: b.decidedAt,
+    declineReason: b.declineReason || undefined,
+    createdAt: b.createdAt,
+  };
+}
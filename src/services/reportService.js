@@ -0,0 +1,290 @@
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { Report } from '../models/Report.js';
+import { User } from '../models/User.js';
+import { hasPermission } from '../utils/roles.js';
+import { recordAuditEvent } from './auditService.js';
+import { notify } from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_REPORTS_PER_GROUP = 5;
+
+/**
+ * Files a report about a listing. Users may file config.reports.maxPerUserPerDay reports per 24 hours
+ * and one open report per listing. Once config.reports.autoHideThreshold distinct users have open
+ * reports on a listing, it is hidden until a moderator reviews it.
+ * @returns {Promise<{ report?: import('mongoose').Document, autoHidden?: boolean, error?: string, status?: number }>}
+ */
+export async function createReport(listing, reporter, { reason, comment = '' }) {
+  if (listing.ownerId.toString() === reporter._id.toString()) {
+    return { error: 'You cannot report your own listing', status: 400 };
+  }
+  const { maxPerUserPerDay, autoHideThreshold } = config.reports;
+  const recent = await Report.countDocuments({
+    reporterId: reporter._id,
+    createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+  });
+  if (recent >= maxPerUserPerDay) {
+    return { error: `You can send at most ${maxPerUserPerDay} reports per day`, status: 429 };
+  }
+
+  let report;
+  try {
+    report = await Report.create({ listingId: listing._id, ownerId: listing.ownerId, reporterId: reporter._id, reason, comment });
+  } catch (err) {
+    if (err.code === 11000) return { error: 'You have already reported this listing', status: 409 };
+    throw err;
+  }
+
+  let autoHidden = false;
+  const reporters = await Report.distinct('reporterId', { listingId: listing._id, status: 'open' });
+  if (reporters.length >= autoHideThreshold) {
+    const hidden = await Listing.findOneAndUpdate(
+      { _id: listing._id, hiddenAt: null },
+      { $set: { hiddenAt: new Date(), hiddenReason: 'reports' } },
+      { new: true, projection: { title: 1, ownerId: 1 } }
+    ).lean();
+    if (hidden) {
+      autoHidden = true;
+      await notify(hidden.ownerId, {
+        type: 'listing.hidden',
+        title: `Your listing "${hidden.title}" is hidden pending review`,
+        body: 'Several users reported this listing. A moderator will review it shortly.',
+        data: { listingId: hidden._id.toString(), reason: 'reports' },
+      });
+    }
+  }
+  return { report, autoHidden };
+}
+
+/**
+ * Open (or resolved) reports grouped by listing, most reported first.
+ * @param {{ status: string, limit: number, skip: number }} options
+ * @returns {Promise<{ items: object[], total: number }>}
+ */
+export async function getReportGroups({ status, limit, skip }) {
+  const [result] = await Report.aggregate([
+    { $match: { status } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$listingId',
+        ownerId: { $first: '$ownerId' },
+        reportCount: { $sum: 1 },
+        reporters: { $addToSet: '$reporterId' },
+        reasons: { $push: '$reason' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' },
+        recent: {
+          $push: { id: '$_id', reporterId: '$reporterId', reason: '$reason', comment: '$comment', createdAt: '$createdAt' },
+        },
+      },
+    },
+    { $addFields: { reporterCount: { $size: '$reporters' }, recent: { $slice: ['$recent', RECENT_REPORTS_PER_GROUP] } } },
+    { $sort: { reporterCount: -1, firstReportedAt: 1 } },
+    { $facet: { items: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } },
+  ]);
+  const groups = result?.items || [];
+
+  const listings = await Listing.find(
+    { _id: { $in: groups.map((g) => g._id) } },
+    { title: 1, slug: 1, thumbnail: 1, status: 1, moderationStatus: 1, hiddenAt: 1, hiddenReason: 1 }
+  ).lean();
+  const listingById = new Map(listings.map((l) => [l._id.toString(), l]));
+
+  const items = groups.map((g) => {
+    const listing = listingById.get(g._id.toString());
+    const reasons = {};
+    for (const r of g.reasons) reasons[r] = (reasons[r] || 0) + 1;
+    return {
+      listingId: g._id.toString(),
+      ownerId: g.ownerId.toString(),
+      listing: listing
+        ? {
+            id: listing._id.toString(),
+            title: listing.title,
+            slug: listing.slug,
+            thumbnail: listing.thumbnail,
+            status: listing.status,
+            moderationStatus: listing.moderationStatus,
+            hiddenAt: listing.hiddenAt,
+            hiddenReason: listing.hiddenReason,
+          }
+        : null,
+      reportCount: g.reportCount,
+      reporterCount: g.reporterCount,
+      reasons,
+      firstReportedAt: g.firstReportedAt,
+      lastReportedAt: g.lastReportedAt,
+      recent: g.recent.map((r) => ({
+        id: r.id.toString(),
+        reporterId: r.reporterId.toString(),
+        reason: r.reason,
+        comment: r.comment || undefined,
+        createdAt: r.createdAt,
+      })),
+    };
+  });
+  return { items, total: result?.total[0]?.count || 0 };
+}
+
+/**
+ * Closes all open reports of a listing. Returns the number of reports resolved.
+ */
+async function resolveReports(listingId, moderator, resolution, note) {
+  const { modifiedCount } = await Report.updateMany(
+    { listingId, status: 'open' },
+    {
+      $set: {
+        status: resolution === 'dismiss' ? 'dismissed' : 'actioned',
+        resolvedAt: new Date(),
+        resolvedBy: moderator._id,
+        resolution,
+        resolutionNote: note,
+      },
+    }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Moderator finds the reports unfounded: closes them and un-hides the listing if reports hid it.
+ * @returns {Promise<{ resolved: number, unhidden: boolean }>}
+ */
+export async function dismissReports(listingId, moderator, note = '') {
+  const resolved = await resolveReports(listingId, moderator, 'dismiss', note);
+  const { modifiedCount } = await Listing.updateOne(
+    { _id: listingId, hiddenReason: 'reports' },
+    { $set: { hiddenAt: null, hiddenReason: null } }
+  );
+  await recordAuditEvent({
+    actor: moderator,
+    action: 'listing.reportsDismiss',
+    targetType: 'Listing',
+    targetId: listingId,
+    details: { resolved, note },
+  });
+  return { resolved, unhidden: modifiedCount > 0 };
+}
+
+/**
+ * Hides a listing by moderator decision (also replaces an automatic 'reports' hide) and tells the owner.
+ */
+export async function hideListing(listing, moderator, note = '') {
+  await Listing.updateOne(
+    { _id: listing._id },
+    { $set: { hiddenAt: listing.hiddenAt || new Date(), hiddenReason: 'moderator' } }
+  );
+  await recordAuditEvent({
+    actor: moderator,
+    action: 'listing.hide',
+    targetType: 'Listing',
+    targetId: listing._id,
+    ownerId: listing.ownerId,
+    details: note ? { note } : {},
+  });
+  await notify(listing.ownerId, {
+    type: 'listing.hidden',
+    title: `Your listing "${listing.title}" was hidden by a moderator`,
+    body: note,
+    data: { listingId: listing._id.toString(), reason: 'moderator' },
+  });
+}
+
+/**
+ * Makes a hidden listing public again (any hide reason except a still-suspended owner).
+ * @returns {Promise<{ error?: string }>}
+ */
+export async function unhideListing(listing, moderator) {
+  if (!listing.hiddenAt) return { error: 'This listing is not hidden' };
+  const owner = await User.findById(listing.ownerId, { suspendedAt: 1 }).lean();
+  if (owner?.suspendedAt) return { error: 'The owner is suspended; unsuspend the owner instead' };
+  await Listing.updateOne({ _id: listing._id }, { $set: { hiddenAt: null, hiddenReason: null } });
+  await recordAuditEvent({
+    actor: moderator,
+    action: 'listing.unhide',
+    targetType: 'Listing',
+    targetId: listing._id,
+    ownerId: listing.ownerId,
+    details: { hiddenReason: listing.hiddenReason },
+  });
+  return {};
+}
+
+/**
+ * Suspends a user: they can no longer sign in or use their token, and their visible listings are
+ * hidden with reason 'ownerSuspended' (restored by unsuspendUser). Staff (listings:moderate) cannot be suspended.
+ * @returns {Promise<{ error?: string, status?: number, hiddenListings?: number }>}
+ */
+export async function suspendUser(userId, moderator, note = '') {
+  const target = await User.findById(userId, { role: 1 }).lean();
+  if (!target) return { error: 'User not found', status: 404 };
+  if (hasPermission(target, 'listings:moderate')) return { error: 'Staff accounts cannot be suspended', status: 403 };
+  const user = await User.findOneAndUpdate(
+    { _id: userId, suspendedAt: null },
+    { $set: { suspendedAt: new Date(), suspensionReason: note } },
+    { new: true, projection: { role: 1 } }
+  ).lean();
+  if (!user) return { error: 'This user is already suspended', status: 409 };
+  const { modifiedCount } = await Listing.updateMany(
+    { ownerId: userId, hiddenAt: null },
+    { $set: { hiddenAt: new Date(), hiddenReason: 'ownerSuspended' } }
+  );
+  await recordAuditEvent({
+    actor: moderator,
+    action: 'user.suspend',
+    targetType: 'User',
+    targetId: userId,
+    ownerId: userId,
+    details: { note, hiddenListings: modifiedCount },
+  });
+  return { hiddenListings: modifiedCount };
+}
+
+/**
+ * Lifts a suspension and shows the listings that were hidden because of it.
+ * @returns {Promise<{ error?: string, restoredListings?: number }>}
+ */
+export async function unsuspendUser(userId, moderator) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, suspendedAt: { $ne: null } },
+    { $set: { suspendedAt: null, suspensionReason: '' } },
+    { new: true, projection: { _id: 1 } }
+  ).lean();
+  if (!user) return { error: 'This user is not suspended' };
+  const { modifiedCount } = await Listing.updateMany(
+    { ownerId: userId, hiddenReason: 'ownerSuspended' },
+    { $set: { hiddenAt: null, hiddenReason: null } }
+  );
+  await recordAuditEvent({
+    actor: moderator,
+    action: 'user.unsuspend',
+    targetType: 'User',
+    targetId: userId,
+    ownerId: userId,
+    details: { restoredListings: modifiedCount },
+  });
+  return { restoredListings: modifiedCount };
+}
+
+/**
+ * Acts on a listing's open reports: 'hide' hides the listing, 'suspendOwner' also suspends its owner.
+ * @returns {Promise<{ resolved?: number, hiddenListings?: number, error?: string, status?: number }>}
+ */
+export async function actOnReports(listing, moderator, action, note = '') {
+  let hiddenListings = 0;
+  if (action === 'suspendOwner') {
+    const suspended = await suspendUser(listing.ownerId, moderator, note);
+    if (suspended.error) return { error: suspended.error, status: suspended.status };
+    hiddenListings = suspended.hiddenListings;
+    // The reported listing stays hidden even if the owner is later unsuspended
+    await Listing.updateOne(
+      { _id: listing._id },
+      { $set: { hiddenAt: listing.hiddenAt || new Date(), hiddenReason: 'moderator' } }
+    );
+  } else {
+    await hideListing(listing, moderator, note);
+  }
+  const resolved = await resolveReports(listing._id, moderator, action, note);
+  return { resolved, hiddenListings };
+}
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { BookingRequest } from '../models/BookingRequest.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { Review } from '../models/Review.js';
+import { User } from '../models/User.js';
+import { getUserDisplayName } from '../utils/userDisplay.js';
+
+/**
+ * Recomputes User.rating (average rounded to one decimal, count) from the seller's reviews.
+ */
+export async function refreshSellerRating(sellerId) {
+  const [row] = await Review.aggregate([
+    // Aggregation $match does not cast, so pass an ObjectId
+    { $match: { sellerId: new mongoose.Types.ObjectId(sellerId.toString()) } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+  const rating = row ? { average: Math.round(row.average * 10) / 10, count: row.count } : { average: 0, count: 0 };
+  await User.updateOne({ _id: sellerId }, { $set: { rating } });
+  return rating;
+}
+
+/**
+ * A reviewer must have dealt with the seller: got a reply from them in a conversation (about the
+ * listing, when given) or had a rental booking accepted. Messaging alone does not count.
+ */
+export async function hasDealtWithSeller(reviewerId, sellerId, listingId = null) {
+  const scope = listingId ? { listingId } : {};
+  const booking = await BookingRequest.exists({ renterId: reviewerId, ownerId: sellerId, status: 'accepted', ...scope });
+  if (booking) return true;
+  const conversationIds = await Conversation.distinct('_id', { buyerId: reviewerId, sellerId, ...scope });
+  if (conversationIds.length === 0) return false;
+  const reply = await Message.exists({ conversationId: { $in: conversationIds }, senderId: sellerId });
+  return Boolean(reply);
+}
+
+/**
+ * @param {object} r - lean review; reviewerId may be populated (name fields)
+ */
+export function toReviewJson(r) {
+  const reviewer = r.reviewerId;
+  return {
+    id: r._id.toString(),
+    sellerId: r.sellerId.toString(),
+    reviewer: {
+      id: (reviewer?._id || reviewer).toString(),
+      name: reviewer?._id ? getUserDisplayName(reviewer) : undefined,
+    },
+    listingId: r.listingId?.toString() ?? null,
+    rating: r.rating,
+    text: r.text || '',
+    reply: r.reply?.text ? { text: r.reply.text, createdAt: r.reply.createdAt } : null,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+}
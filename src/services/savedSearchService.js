@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { SavedSearch } from '../models/SavedSearch.js';
+import { SavedSearchMatch } from '../models/SavedSearchMatch.js';
+import { User } from '../models/User.js';
+import { buildListingMatch } from './listingQueryService.js';
+import { publicListingMatch } from './listingVisibility.js';
+import { deliverNotification } from './notificationChannels.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** GET /products parameters that only affect paging or presentation, not which listings match. */
+const IGNORED_PARAMS = ['limit', 'skip', 'cursor', 'sort', 'highlight'];
+const MAX_PARAMS = 30;
+const MAX_VALUE_LENGTH = 200;
+const MAX_LISTINGS_PER_MESSAGE = 10;
+const MATCH_CACHE_TTL_MS = 60 * 1000;
+const MATCH_CACHE_MAX_ENTRIES = 5000;
+const FACET_BATCH_SIZE = 100;
+
+// Compiled buildListingMatch results by canonical query string (categories, filters and rates change rarely)
+const matchCache = new Map();
+
+/**
+ * Parses a query string into a req.query-like object (repeated keys become arrays).
+ * @returns {Record<string, string | string[]>}
+ */
+export function parseSavedSearchQuery(queryString) {
+  const params = new URLSearchParams(queryString || '');
+  const query = {};
+  for (const key of new Set(params.keys())) {
+    const values = params.getAll(key);
+    query[key] = values.length > 1 ? values : values[0];
+  }
+  return query;
+}
+
+export function toSavedSearchJson(s) {
+  return {
+    id: s._id.toString(),
+    name: s.name,
+    query: parseSavedSearchQuery(s.query),
+    queryString: s.query,
+    frequency: s.frequency,
+    channels: s.channels || [],
+    lastNotifiedAt: s.lastNotifiedAt,
+    createdAt: s.createdAt,
+    updatedAt: s.updatedAt,
+  };
+}
+
+/**
+ * Normalizes a saved search query: an object like req.query or a query string ("categorySlug=x&f.brand=a").
+ * Keeps string / string[] values, drops paging params, and checks it with buildListingMatch.
+ * @returns {Promise<{ fields?: { query: string, type: string | null, categoryId: string | null, categorySlug: string | null }, error?: string }>}
+ *   fields: SavedSearch fields (canonical query string plus its exact-match params)
+ */
+export async function normalizeSavedSearchQuery(raw) {
+  let entries;
+  if (typeof raw === 'string') {
+    entries = Object.entries(parseSavedSearchQuery(raw.replace(/^\?/, '')));
+  } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    entries = Object.entries(raw);
+  } else {
+    return { error: 'query must be an object or a query string' };
+  }
+
+  const query = {};
+  for (const [key, value] of entries) {
+    if (IGNORED_PARAMS.includes(key)) continue;
+    const values = (Array.isArray(value) ? value : [value]).filter((v) => typeof v === 'string' && v.trim());
+    if (values.length === 0) continue;
+    if (values.some((v) => v.length > MAX_VALUE_LENGTH)) {
+      return { error: `query.${key} cannot exceed ${MAX_VALUE_LENGTH} characters` };
+    }
+    query[key] = values.length > 1 ? values : values[0].trim();
+  }
+  const keys = Object.keys(query);
+  if (keys.length === 0) return { error: 'query must contain at least one search criterion' };
+  if (keys.length > MAX_PARAMS) return { error: `query cannot have more than ${MAX_PARAMS} parameters` };
+
+  const { error } = await buildListingMatch(query);
+  if (error) return { error };
+
+  const params = new URLSearchParams();
+  for (const key of keys.sort()) {
+    for (const value of [].concat(query[key])) params.append(key, value);
+  }
+  const single = (key) => (typeof query[key] === 'string' ? query[key] : null);
+  return {
+    fields: {
+      query: params.toString(),
+      type: single('type'),
+      categoryId: single('categoryId'),
+      categorySlug: single('categorySlug')?.toLowerCase() ?? null,
+    },
+  };
+}
+
+function listingUrl(listing) {
+  return `${config.appUrl}/products/${listing.slug}`;
+}
+
+/**
+ * Notification for new matches of a saved search (one listing, or a digest of several).
+ */
+function buildMatchNotification(search, listings) {
+  const shown = listings.slice(0, MAX_LISTINGS_PER_MESSAGE);
+  const title =
+    listings.length === 1
+      ? `New listing for "${search.name}": ${listings[0].title}`
+      : `${listings.length} new listings for "${search.name}"`;
+  const lines = shown.map((l) => `${l.title} — ${l.price} ${l.currency}`);
+  if (listings.length > shown.length) lines.push(`…and ${listings.length - shown.length} more`);
+  const emailLines = shown.map((l) => `${l.title} — ${l.price} ${l.currency}\n${listingUrl(l)}`);
+  if (listings.length > shown.length) emailLines.push(`…and ${listings.length - shown.length} more`);
+  return {
+    type: 'savedSearch.match',
+    title: title.slice(0, 200),
+    body: lines.join('\n'),
+    emailText: emailLines.join('\n\n'),
+    data: {
+      savedSearchId: search._id.toString(),
+      listingIds: listings.map((l) => l._id.toString()),
+      slugs: shown.map((l) => l.slug),
+    },
+  };
+}
+
+/**
+ * Delivers pending matches of one saved search and marks them notified. When every channel fails the
+ * matches stay pending, so the digest job retries them.
+ * @returns {Promise<number>} number of listings delivered
+ */
+async function deliverPendingMatches(search, now) {
+  const matches = await SavedSearchMatch.find({ savedSearchId: search._id, notifiedAt: null }).lean();
+  if (matches.length === 0) return 0;
+  // Listings unpublished since they matched are dropped silently
+  const listings = await Listing.find(
+    { ...publicListingMatch(), _id: { $in: matches.map((m) => m.listingId) }, status: 'active' },
+    { title: 1, slug: 1, price: 1, currency: 1 }
+  )
+    .sort({ createdAt: -1 })
+    .lean();
+  const user = await User.findById(search.userId, { email: 1 }).lean();
+
+  if (user && listings.length > 0) {
+    const delivered = await deliverNotification(user, buildMatchNotification(search, listings), search.channels);
+    if (delivered.length === 0) return 0;
+  }
+  await SavedSearchMatch.updateMany({ _id: { $in: matches.map((m) => m._id) } }, { $set: { notifiedAt: now } });
+  await SavedSearch.updateOne({ _id: search._id }, { $set: { lastNotifiedAt: now } });
+  return listings.length;
+}
+
+/**
+ * buildListingMatch for a saved search query, cached for MATCH_CACHE_TTL_MS.
+ * @returns {Promise<{ match?: object, error?: string }>}
+ */
+async function getCompiledMatch(queryString) {
+  const cached = matchCache.get(queryString);
+  if (cached && cached.expiresAt > Date.now()) return cached.result;
+  const result = await buildListingMatch(parseSavedSearchQuery(queryString));
+  if (matchCache.size >= MATCH_CACHE_MAX_ENTRIES) matchCache.clear();
+  matchCache.set(queryString, { result, expiresAt: Date.now() + MATCH_CACHE_TTL_MS });
+  return result;
+}
+
+/**
+ * Which of the given matches select the listing. Matches without $text are checked together in one
+ * $facet query per FACET_BATCH_SIZE; $text must start a pipeline, so those are checked one by one.
+ * @param {Map<string, object>} matchesByQuery - canonical query string → compiled match
+ * @returns {Promise<Set<string>>} query strings that match
+ */
+async function findMatchingQueries(listingId, matchesByQuery) {
+  const matching = new Set();
+  const batchable = [];
+  for (const [queryString, match] of matchesByQuery) {
+    if (!match.$text) {
+      batchable.push([queryString, match]);
+    } else if (await Listing.exists({ ...match, _id: listingId })) {
+      matching.add(queryString);
+    }
+  }
+  for (let i = 0; i < batchable.length; i += FACET_BATCH_SIZE) {
+    const batch = batchable.slice(i, i + FACET_BATCH_SIZE);
+    const [row] = await Listing.aggregate([
+      { $match: { _id: listingId } },
+      { $facet: Object.fromEntries(batch.map(([, match], j) => [`m${j}`, [{ $match: match }, { $project: { _id: 1 } }]])) },
+    ]);
+    batch.forEach(([queryString], j) => {
+      if (row?.[`m${j}`]?.length > 0) matching.add(queryString);
+    });
+  }
+  return matching;
+}
+
+/**
+ * Records a newly published listing against every saved search it matches (except its owner's)
+ * and delivers instant alerts. Call after a listing is created approved or gets approved.
+ * @param {{ _id: unknown, ownerId: unknown, type: string, categoryId?: unknown, category?: { slug?: string } }} listing
+ */
+export async function matchSavedSearches(listing) {
+  const ownerId = listing.ownerId?._id || listing.ownerId;
+  // Cheap pre-filter on exact-match params; buildListingMatch decides the rest
+  const searches = await SavedSearch.find({
+    userId: { $ne: ownerId },
+    type: { $in: [null, listing.type] },
+    categoryId: { $in: [null, listing.categoryId?.toString() ?? null] },
+    categorySlug: { $in: [null, listing.category?.slug ?? null] },
+  }).lean();
+
+  // Each distinct query is compiled and checked once, however many users saved it
+  const matchesByQuery = new Map();
+  for (const queryString of new Set(searches.map((s) => s.query))) {
+    // A search can become invalid when its category or filters change; skip it until the user edits it
+    const { match, error } = await getCompiledMatch(queryString);
+    if (!error) matchesByQuery.set(queryString, match);
+  }
+  const listingId = new mongoose.Types.ObjectId(listing._id.toString());
+  const matching = await findMatchingQueries(listingId, matchesByQuery);
+
+  const now = new Date();
+  for (const search of searches) {
+    if (!matching.has(search.query)) continue;
+    try {
+      await SavedSearchMatch.create({ savedSearchId: search._id, userId: search.userId, listingId: listing._id });
+    } catch (err) {
+      if (err.code === 11000) continue;
+      throw err;
+    }
+    if (search.frequency === 'instant') await deliverPendingMatches(search, now);
+  }
+}
+
+/**
+ * Fire-and-forget wrapper for request handlers: alerts never delay or fail the response.
+ */
+export function queueSavedSearchAlerts(listing) {
+  matchSavedSearches(listing).catch((err) => console.error('Saved search matching error:', err));
+}
+
+/**
+ * Sends daily digests that are due (last one at least 24h ago) and retries undelivered instant alerts.
+ * @returns {Promise<number>} number of saved searches notified
+ */
+export async function sendSavedSearchDigests(now = new Date()) {
+  const searchIds = await SavedSearchMatch.distinct('savedSearchId', { notifiedAt: null });
+  const searches = await SavedSearch.find({
+    _id: { $in: searchIds },
+    $or: [
+      { frequency: 'instant' },
+      { lastNotifiedAt: null },
+      { lastNotifiedAt: { $lte: new Date(now.getTime() - DAY_MS) } },
+    ],
+  }).lean();
+  let sent = 0;
+  for (const search of searches) {
+    if ((await deliverPendingMatches(search, now)) > 0) sent++;
+  }
+  return sent;
+}
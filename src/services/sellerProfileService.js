@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { Listing, LISTING_STATUSES } from '../models/Listing.js';
+import { User } from '../models/User.js';
+import { getUserDisplayName } from '../utils/userDisplay.js';
+import { publicListingMatch } from './listingVisibility.js';
+
+/**
+ * $match for a seller's listings shown on their public page (ownerId as ObjectId: aggregation does not cast).
+ */
+export function sellerListingsMatch(sellerId) {
+  return { ...publicListingMatch(), ownerId: new mongoose.Types.ObjectId(sellerId.toString()), status: 'active' };
+}
+
+/**
+ * Public profile of a user: never includes email, phone, role or other account fields.
+ * @returns {Promise<object | null>} null when the user does not exist
+ */
+export async function getSellerProfile(sellerId) {
+  const user = await User.findById(sellerId, { firstName: 1, lastName: 1, businessName: 1, userType: 1, rating: 1, createdAt: 1 }).lean();
+  if (!user) return null;
+
+  const rows = await Listing.aggregate([
+    { $match: { ...publicListingMatch(), ownerId: user._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const listingCounts = Object.fromEntries(LISTING_STATUSES.map((s) => [s, 0]));
+  for (const row of rows) {
+    if (row._id in listingCounts) listingCounts[row._id] = row.count;
+  }
+  listingCounts.total = rows.reduce((sum, row) => sum + row.count, 0);
+
+  return {
+    id: user._id.toString(),
+    name: getUserDisplayName(user),
+    type: user.userType === 'business' ? 'business' : 'physical',
+    memberSince: user.createdAt,
+    rating: { average: user.rating?.average ?? 0, count: user.rating?.count ?? 0 },
+    listingCounts,
+  };
+}
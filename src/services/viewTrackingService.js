@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { Listing } from '../models/Listing.js';
+import { ListingViewDaily } from '../models/ListingViewDaily.js';
+import { ListingViewMark } from '../models/ListingViewMark.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+/** UTC day key 'YYYY-MM-DD'. */
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Identifies the viewer for de-duplication: the user id when signed in, else a hash of the
+ * client-generated X-Client-Id header or, without one, of IP + user agent. Raw IPs are never stored.
+ * The IP is req.ip, so X-Forwarded-For only counts with config.trustProxy set. Anonymous de-duplication
+ * is best-effort: a client that sends a new X-Client-Id (or clears it) on each request is counted again.
+ * @param {import('express').Request} req
+ */
+export function getViewerKey(req) {
+  const userId = req.user?._id || req.user?.id;
+  if (userId) return `u:${userId.toString()}`;
+  const clientId = req.get('x-client-id');
+  const source = clientId && CLIENT_ID_PATTERN.test(clientId) ? `c:${clientId}` : `i:${req.ip}|${req.get('user-agent') || ''}`;
+  return `a:${crypto.createHash('sha256').update(source).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Counts a view of a listing unless the viewer is its owner, a crawler, or already counted within
+ * config.views.dedupeWindowMinutes. Increments Listing.views and the listing's counter for today.
+ * @param {{ _id: unknown, ownerId?: unknown }} listing - ownerId may be populated
+ * @param {import('express').Request} req
+ * @returns {Promise<boolean>} whether the view was counted
+ */
+export async function recordListingView(listing, req, now = new Date()) {
+  const ownerId = listing.ownerId?._id || listing.ownerId;
+  const userId = req.user?._id || req.user?.id;
+  if (ownerId && userId && ownerId.toString() === userId.toString()) return false;
+  if (BOT_USER_AGENT.test(req.get('user-agent') || '')) return false;
+
+  const windowMs = config.views.dedupeWindowMinutes * 60 * 1000;
+  const viewerKey = getViewerKey(req);
+  try {
+    // Matches only a mark older than the window; a recent mark makes the upsert hit the unique index
+    await ListingViewMark.updateOne(
+      { listingId: listing._id, viewerKey, lastCountedAt: { $lte: new Date(now.getTime() - windowMs) } },
+      { $set: { lastCountedAt: now, expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+
+  await Promise.all([
+    Listing.updateOne({ _id: listing._id }, { $inc: { views: 1 } }),
+    ListingViewDaily.updateOne(
+      { listingId: listing._id, day: dayKey(now) },
+      { $inc: { count: 1 }, $setOnInsert: { ownerId: ownerId || null } },
+      { upsert: true }
+    ),
+  ]);
+  return true;
+}
+
+/**
+ * Counts a view without delaying or failing the response that triggered it.
+ */
+export function trackListingView(listing, req) {
+  recordListingView(listing, req).catch((err) => console.error('View tracking error:', err));
+}
+
+/**
+ * Daily view counts for the last `days` UTC days (today included), oldest first, zero-filled.
+ * @param {object} match - ListingViewDaily filter, e.g. { listingId } or { ownerId }
+ * @returns {Promise<{ date: string, views: number }[]>}
+ */
+export async function getDailyViews(match, days, now = new Date()) {
+  const from = dayKey(new Date(now.getTime() - (days - 1) * DAY_MS));
+  const rows = await ListingViewDaily.aggregate([
+    { $match: { ...match, day: { $gte: from } } },
+    { $group: { _id: '$day', views: { $sum: '$count' } } },
+  ]);
+  const byDay = new Map(rows.map((r) => [r._id, r.views]));
+  const result = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = dayKey(new Date(now.getTime() - i * DAY_MS));
+    result.push({ date, views: byDay.get(date) || 0 });
+  }
+  return result;
+}
+
+/**
+ * Views per listing of an owner over the last `days` UTC days.
+ * @returns {Promise<Map<string, number>>} listingId → views in the period
+ */
+export async function getPeriodViewsByListing(ownerId, days, now = new Date()) {
+  const from = dayKey(new Date(now.getTime() - (days - 1) * DAY_MS));
+  const rows = await ListingViewDaily.aggregate([
+    { $match: { ownerId, day: { $gte: from } } },
+    { $group: { _id: '$listingId', views: { $sum: '$count' } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r.views]));
+}
@@ -1,4 +1,5 @@
 import { User } from '../models/User.js';
+import { normalizeRole } from '../utils/roles.js';
 
 export async function findByEmail(email) {
   return User.findOne({ email: email.toLowerCase().trim() }).lean();
@@ -17,7 +18,7 @@ export async function create(data) {
     firstName: data.firstName?.trim() || '',
     lastName: data.lastName?.trim() || '',
     businessName: data.businessName?.trim() || '',
-    role: data.role === 'admin' ? 'admin' : 'customer',
+    role: normalizeRole(data.role),
     phone: data.phone?.trim() || '',
     userType: data.userType === 'business' ? 'business' : 'physical',
   });
@@ -39,3 +40,13 @@ export async function updateById(id, data) {
   if (!user) return null;
   return { ...user, id: user._id.toString() };
 }
+
+export async function updateRoleById(id, role) {
+  const user = await User.findByIdAndUpdate(
+    id,
+    { $set: { role: normalizeRole(role) } },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!user) return null;
+  return { ...user, id: user._id.toString() };
+}
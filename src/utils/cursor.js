@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Opaque pagination cursors: base64url JSON. Dates and ObjectIds are tagged so they
+ * round-trip with their BSON types and can be used directly in a $match.
+ */
+
+function encodeValue(v) {
+  if (v instanceof Date) return { $d: v.toISOString() };
+  if (v instanceof mongoose.Types.ObjectId) return { $o: v.toString() };
+  return v === undefined ? null : v;
+}
+
+function decodeValue(v) {
+  if (v && typeof v === 'object') {
+    if (typeof v.$d === 'string') {
+      const d = new Date(v.$d);
+      if (Number.isNaN(d.getTime())) throw new Error('Invalid date in cursor');
+      return d;
+    }
+    if (typeof v.$o === 'string') {
+      if (!mongoose.isValidObjectId(v.$o)) throw new Error('Invalid id in cursor');
+      return new mongoose.Types.ObjectId(v.$o);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  return v;
+}
+
+/**
+ * @param {{ mode: string, values: unknown[] }} payload
+ * @returns {string}
+ */
+export function encodeCursor({ mode, values }) {
+  const json = JSON.stringify({ m: mode, k: values.map(encodeValue) });
+  return Buffer.from(json, 'utf8').toString('base64url');
+}
+
+/**
+ * Returns null for malformed cursors.
+ * @param {unknown} raw
+ * @returns {{ mode: string, values: unknown[] } | null}
+ */
+export function decodeCursor(raw) {
+  if (typeof raw !== 'string' || !raw) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (!parsed || typeof parsed.m !== 'string' || !Array.isArray(parsed.k)) {
+      return null;
+    }
+    return { mode: parsed.m, values: parsed.k.map(decodeValue) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * $match selecting documents strictly after `values` in the given sort order (keyset pagination).
+ * Null cursor values skip their "greater than" branch: nulls only tie with nulls.
+ * @param {[string, 1 | -1][]} sortSpec - sort fields in order, last one unique (e.g. _id)
+ * @param {unknown[]} values - sort field values of the last returned document
+ */
+export function buildKeysetMatch(sortSpec, values) {
+  const or = [];
+  sortSpec.forEach(([field, dir], i) => {
+    if (values[i] === null || values[i] === undefined) return;
+    const cond = {};
+    for (let j = 0; j < i; j++) cond[sortSpec[j][0]] = values[j];
+    cond[field] = { [dir === 1 ? '$gt' : '$lt']: values[i] };
+    or.push(cond);
+  });
+  return { $or: or };
+}
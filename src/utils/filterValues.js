@@ -0,0 +1,65 @@
+/**
+ * Parsing helpers for Filter values (query strings and listing attribute payloads).
+ * All parsers return undefined for values that cannot be interpreted as the requested type.
+ */
+
+/**
+ * @param {unknown} raw
+ * @returns {number | undefined}
+ */
+export function parseFilterNumber(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : undefined;
+  if (typeof raw !== 'string' || !raw.trim()) return undefined;
+  const n = Number(raw.trim());
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Accepts true/false, 1/0, yes/no (strings are case-insensitive).
+ * @param {unknown} raw
+ * @returns {boolean | undefined}
+ */
+export function parseFilterBoolean(raw) {
+  if (typeof raw === 'boolean') return raw;
+  if (raw === 1 || raw === 0) return raw === 1;
+  if (typeof raw !== 'string') return undefined;
+  const s = raw.trim().toLowerCase();
+  if (s === 'true' || s === '1' || s === 'yes') return true;
+  if (s === 'false' || s === '0' || s === 'no') return false;
+  return undefined;
+}
+
+/**
+ * Parses "min..max", "min..", "..max" or a single number "n" (min = max = n).
+ * Returns undefined when a bound is not numeric, both bounds are missing, or min > max.
+ * @param {unknown} raw
+ * @returns {{ min?: number, max?: number } | undefined}
+ */
+export function parseFilterRange(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return undefined;
+  const s = raw.trim();
+  if (!s.includes('..')) {
+    const n = parseFilterNumber(s);
+    return n === undefined ? undefined : { min: n, max: n };
+  }
+  const [rawMin, rawMax, ...rest] = s.split('..');
+  if (rest.length > 0) return undefined;
+  const min = rawMin ? parseFilterNumber(rawMin) : undefined;
+  const max = rawMax ? parseFilterNumber(rawMax) : undefined;
+  if ((rawMin && min === undefined) || (rawMax && max === undefined)) return undefined;
+  if (min === undefined && max === undefined) return undefined;
+  if (min !== undefined && max !== undefined && min > max) return undefined;
+  return { min, max };
+}
+
+/**
+ * Finds the option matching raw case-insensitively and returns it as stored on the Filter.
+ * @param {string[] | undefined} options
+ * @param {unknown} raw
+ * @returns {string | undefined}
+ */
+export function matchFilterOption(options, raw) {
+  if (!Array.isArray(options) || typeof raw !== 'string') return undefined;
+  const needle = raw.trim().toLowerCase();
+  return options.find((o) => o.toLowerCase() === needle);
+}
@@ -27,6 +27,17 @@ export function getEffectivePromotionType(listing) {
   return 'none';
 }
 
+/**
+ * Rank of a promotion type (lower = higher priority): homepageTop(0) > featured(1) > highlighted(2) > none(3).
+ * @param {string} type
+ */
+export function promotionTypeRank(type) {
+  if (type === 'homepageTop') return 0;
+  if (type === 'featured') return 1;
+  if (type === 'highlighted') return 2;
+  return 3;
+}
+
 /**
  * Promotion rank for sorting (lower = higher priority).
  * Active: homepageTop(0) > featured(1) > highlighted(2) > none(3)
@@ -34,11 +45,7 @@ export function getEffectivePromotionType(listing) {
  * @param {{ promotionType?: string, promotionExpiresAt?: Date | string | null }} listing
  */
 export function getPromotionRank(listing) {
-  const type = getEffectivePromotionType(listing);
-  if (type === 'homepageTop') return 0;
-  if (type === 'featured') return 1;
-  if (type === 'highlighted') return 2;
-  return 3;
+  return promotionTypeRank(getEffectivePromotionType(listing));
 }
 
 /**
@@ -54,39 +61,3 @@ export function compareByPromotionThenCreatedAtDesc(a, b) {
   const tb = b?.createdAt ? new Date(b.createdAt).getTime() : 0;
   return tb - ta;
 }
-
-/**
- * Normalizes incoming promotion payload.
- * - Unknown types become 'none'
- * - If type === 'none' => expiresAt null
- * - If type !== 'none' but expiresAt is invalid/not in future => becomes 'none'
- *
- * @param {{ promotionType?: unknown, promotionExpiresAt?: unknown }} body
- * @returns {{ promotionType: PromotionType, promotionExpiresAt: Date | null }}
- */
-export function normalizePromotionInput(body) {
-  const rawType = typeof body?.promotionType === 'string' ? body.promotionType : 'none';
-  const type =
-    rawType === 'homepageTop' || rawType === 'featured' || rawType === 'highlighted' || rawType === 'none'
-      ? rawType
-      : 'none';
-
-  if (type === 'none') {
-    return { promotionType: 'none', promotionExpiresAt: null };
-  }
-
-  const rawExpiresAt = body?.promotionExpiresAt;
-  const expiresAt =
-    rawExpiresAt instanceof Date
-      ? rawExpiresAt
-      : typeof rawExpiresAt === 'string' || typeof rawExpiresAt === 'number'
-        ? new Date(rawExpiresAt)
-        : null;
-
-  if (!expiresAt || Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
-    return { promotionType: 'none', promotionExpiresAt: null };
-  }
-
-  return { promotionType: type, promotionExpiresAt: expiresAt };
-}
-
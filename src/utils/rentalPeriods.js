@@ -0,0 +1,60 @@
+/**
+ * Rental date math at rentPeriod granularity (hour/day/week/month). Boundaries are computed in the
+ * marketplace's local time (utcOffsetMinutes, Georgia is UTC+4 without DST); weeks start on Monday.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Start of the period containing date.
+ * @param {Date} date
+ * @param {'hour' | 'day' | 'week' | 'month'} period
+ * @param {number} utcOffsetMinutes
+ */
+export function floorToPeriod(date, period, utcOffsetMinutes) {
+  const shift = utcOffsetMinutes * 60 * 1000;
+  const local = new Date(date.getTime() + shift);
+  if (period === 'hour') {
+    local.setUTCMinutes(0, 0, 0);
+  } else {
+    local.setUTCHours(0, 0, 0, 0);
+    if (period === 'week') local.setTime(local.getTime() - ((local.getUTCDay() + 6) % 7) * DAY_MS);
+    if (period === 'month') local.setUTCDate(1);
+  }
+  return new Date(local.getTime() - shift);
+}
+
+/**
+ * date moved forward by n periods (date should be a period boundary).
+ */
+export function addPeriods(date, period, n, utcOffsetMinutes) {
+  if (period === 'hour') return new Date(date.getTime() + n * HOUR_MS);
+  if (period === 'day') return new Date(date.getTime() + n * DAY_MS);
+  if (period === 'week') return new Date(date.getTime() + n * 7 * DAY_MS);
+  const shift = utcOffsetMinutes * 60 * 1000;
+  const local = new Date(date.getTime() + shift);
+  local.setUTCMonth(local.getUTCMonth() + n);
+  return new Date(local.getTime() - shift);
+}
+
+/**
+ * Widens [start, end) to whole periods: start floored, end rounded up to the next boundary.
+ * @returns {{ start: Date, end: Date }}
+ */
+export function alignRange(start, end, period, utcOffsetMinutes) {
+  const alignedStart = floorToPeriod(start, period, utcOffsetMinutes);
+  let alignedEnd = floorToPeriod(end, period, utcOffsetMinutes);
+  if (alignedEnd.getTime() < end.getTime()) alignedEnd = addPeriods(alignedEnd, period, 1, utcOffsetMinutes);
+  if (alignedEnd.getTime() <= alignedStart.getTime()) alignedEnd = addPeriods(alignedStart, period, 1, utcOffsetMinutes);
+  return { start: alignedStart, end: alignedEnd };
+}
+
+/**
+ * Number of whole periods in an aligned range.
+ */
+export function countPeriods(start, end, period, utcOffsetMinutes) {
+  let n = 0;
+  for (let t = start; t.getTime() < end.getTime(); t = addPeriods(t, period, 1, utcOffsetMinutes)) n++;
+  return n;
+}
@@ -0,0 +1,46 @@
+/**
+ * Roles and permissions. Routes check permissions (requirePermission), never role names,
+ * so a new role only needs an entry in ROLE_PERMISSIONS.
+ */
+export const ROLES = /** @type {const} */ (['customer', 'contentEditor', 'moderator', 'admin']);
+
+/** @typedef {(typeof ROLES)[number]} Role */
+
+export const PERMISSIONS = /** @type {const} */ ([
+  'categories:write',
+  'filters:write',
+  'locations:write',
+  'exchangeRates:write',
+  'listings:manageAny',
+  'listings:moderate',
+  'promotions:manage',
+  'users:manageRoles',
+]);
+
+/** @typedef {(typeof PERMISSIONS)[number]} Permission */
+
+/** @type {Record<Role, readonly Permission[]>} */
+const ROLE_PERMISSIONS = {
+  customer: [],
+  contentEditor: ['categories:write', 'filters:write', 'locations:write'],
+  // Moderators act on others' listings only through /api/moderation (approve, reject, hide), not by editing them
+  moderator: ['listings:moderate'],
+  admin: PERMISSIONS,
+};
+
+/**
+ * Unknown or missing roles become 'customer'.
+ * @param {unknown} role
+ * @returns {Role}
+ */
+export function normalizeRole(role) {
+  return ROLES.includes(role) ? role : 'customer';
+}
+
+/**
+ * @param {{ role?: string } | null | undefined} user
+ * @param {Permission} permission
+ */
+export function hasPermission(user, permission) {
+  return ROLE_PERMISSIONS[normalizeRole(user?.role)].includes(permission);
+}
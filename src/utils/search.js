@@ -0,0 +1,113 @@
+const MAX_QUERY_LENGTH = 100;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Trims and collapses whitespace in a search query. Non-strings and blank queries become ''.
+ * @param {unknown} q
+ * @returns {string}
+ */
+export function normalizeSearchQuery(q) {
+  if (typeof q !== 'string') return '';
+  return q.trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Flattens specification values into one space-separated string for the text index.
+ * Keys are skipped; nested objects and arrays are walked.
+ * @param {unknown} specs
+ * @returns {string}
+ */
+export function flattenSpecificationsText(specs) {
+  const parts = [];
+  const walk = (v) => {
+    if (v === null || v === undefined) return;
+    if (typeof v === 'string') {
+      if (v.trim()) parts.push(v.trim());
+    } else if (typeof v === 'number' || typeof v === 'boolean') {
+      parts.push(String(v));
+    } else if (Array.isArray(v)) {
+      v.forEach(walk);
+    } else if (typeof v === 'object') {
+      Object.values(v).forEach(walk);
+    }
+  };
+  walk(specs);
+  return parts.join(' ');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(s) {
+  return s
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds a case-insensitive regex matching any term of the query (quotes stripped, negated terms ignored).
+ * Returns null when the query has no usable terms.
+ * @param {string} q
+ */
+function termsRegex(q) {
+  const terms = q
+    .replace(/"/g, ' ')
+    .split(' ')
+    .filter((t) => t && !t.startsWith('-'))
+    .map(escapeRegExp);
+  if (terms.length === 0) return null;
+  return new RegExp(`(${terms.join('|')})`, 'giu');
+}
+
+/** HTML-escapes text and wraps every regex match in <mark>. */
+function markMatches(text, regex) {
+  return text
+    .split(regex)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Cuts a window of text around the first match. Returns null when nothing matches.
+ */
+function snippetAround(text, regex) {
+  regex.lastIndex = 0;
+  const m = regex.exec(text);
+  regex.lastIndex = 0;
+  if (!m) return null;
+  const start = Math.max(0, m.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, m.index + m[0].length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Highlighted snippets for a listing matched by a keyword search.
+ * Values are HTML-escaped with matched terms wrapped in <mark>; fields without a match are omitted.
+ * @param {{ title?: string, description?: string, category?: { name?: string }, specificationsText?: string }} listing
+ * @param {string} q - Normalized query (see normalizeSearchQuery)
+ * @returns {{ title?: string, description?: string, category?: string, specifications?: string }}
+ */
+export function buildSearchHighlights(listing, q) {
+  const regex = termsRegex(q);
+  if (!regex) return {};
+  const highlights = {};
+  const fields = [
+    ['title', listing?.title, false],
+    ['category', listing?.category?.name, false],
+    ['description', listing?.description, true],
+    ['specifications', listing?.specificationsText, true],
+  ];
+  for (const [key, value, snippet] of fields) {
+    if (typeof value !== 'string' || !value) continue;
+    const text = snippet ? snippetAround(value, regex) : value;
+    regex.lastIndex = 0;
+    if (!text || !regex.test(text)) continue;
+    regex.lastIndex = 0;
+    highlights[key] = markMatches(text, regex);
+  }
+  return highlights;
+}
@@ -0,0 +1,13 @@
+/**
+ * Public name of a user: the business name for business accounts that set one,
+ * otherwise first and last name. Undefined when nothing is set.
+ * @param {{ userType?: string, businessName?: string, firstName?: string, lastName?: string } | null | undefined} user
+ * @returns {string | undefined}
+ */
+export function getUserDisplayName(user) {
+  if (!user) return undefined;
+  if (user.userType === 'business' && user.businessName) {
+    return user.businessName.trim();
+  }
+  return [user.firstName, user.lastName].filter(Boolean).join(' ').trim() || undefined;
+}